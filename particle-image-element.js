@@ -0,0 +1,274 @@
+/**
+ * <particle-image> custom element, a declarative wrapper around ParticleImage for plain HTML and frameworks.
+ * ex: <particle-image src="logo.png" density="6" timing="easeOut" idle></particle-image>
+ *
+ * Attributes and their camelCase properties map to settings (see ParticleImageElement.attributeSettings),
+ * the settings property takes a whole settings tree that attributes override. Changing src animates to the
+ * new image, other changes are applied with configure(). The canvas is added inside the element.
+ *
+ * Events: load, transitionstart, frame, transitionend, cancel and resize, each with the library's event data as detail,
+ * and error with { src, error } for images that fail to load or { error } for invalid settings.
+ * Listen on the element rather than element.particleImage, which is replaced when the element is moved
+ * or responsive or renderer change.
+ *
+ * The element is display: block by default so responsive canvases can follow its size.
+ */
+
+const ParticleImageLibrary = typeof ParticleImage === 'function' ? ParticleImage : require('./particle-image.js')
+const ParticleImageBaseElement = typeof HTMLElement === 'function' ? HTMLElement : class { }
+
+class ParticleImageElement extends ParticleImageBaseElement {
+
+    static get observedAttributes() {
+        return ['src', 'image-color', ...Object.keys(ParticleImageElement.attributeSettings)]
+    }
+
+    constructor() {
+        super()
+        this.particleImage = null // created when the element is connected
+        this._settings = {}
+        this._shownSrc = null // src the particles were last animated to
+        this._snapshot = null // particle state kept while disconnected, ex: when moved in the document
+        this._connected = false // attribute changes are only applied once connectedCallback has run
+    }
+
+    connectedCallback() {
+        this._connected = true
+        if (this.particleImage !== null || !this._create()) return
+        if (this._snapshot !== null) this._dispatchErrors(() => this.particleImage.restore(this._snapshot))
+        this._snapshot = null
+        if (this.src && this.src !== this._shownSrc) this._showSrc()
+    }
+
+    disconnectedCallback() {
+        this._connected = false
+        if (this.particleImage === null) return
+        this._snapshot = this.particleImage.toJSON()
+        this.particleImage.destroy()
+        this.particleImage = null
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // attributes in the markup are read by connectedCallback, ex: when the element is upgraded
+        if (!this._connected) return
+        // connected without a ParticleImage means an invalid setting stopped it being created, try again
+        if (this.particleImage === null) {
+            this.connectedCallback()
+            return
+        }
+        if (oldValue === newValue) return
+
+        if (name === 'src') {
+            if (newValue) this._showSrc()
+            return
+        }
+        if (name === 'image-color') {
+            if (this.src) this._showSrc()
+            return
+        }
+
+        // removed settings go back to their defaults and responsive and renderer can't be changed with configure(),
+        // so start again from the current particles
+        if (newValue === null || name === 'responsive' || name === 'renderer') this._rebuild()
+        else this._dispatchErrors(() => this.particleImage.configure(this._getAttributeSettings([name])))
+    }
+
+    get src() {
+        return this.getAttribute('src')
+    }
+
+    set src(src) {
+        if (src === null || src === undefined) this.removeAttribute('src')
+        else this.setAttribute('src', src)
+    }
+
+    //false to keep particles.properties.fill instead of the image colors
+    get useImageColor() {
+        return this.getAttribute('image-color') !== 'false'
+    }
+
+    set useImageColor(useImageColor) {
+        this.setAttribute('image-color', useImageColor ? 'true' : 'false')
+    }
+
+    //settings tree used under the attributes, changes are applied with configure() once connected
+    get settings() {
+        return this._settings
+    }
+
+    set settings(settings) {
+        this._settings = settings || {}
+        if (this.particleImage !== null) this._dispatchErrors(() => this.particleImage.configure(this._settings))
+        else if (this._connected) this.connectedCallback()
+    }
+
+    //@returns {Boolean} false if the settings are invalid, the error is dispatched
+    _create() {
+        const settings = ParticleImageElement.mergeSettings({}, this._settings, this._getAttributeSettings(), { output: this })
+        this.particleImage = this._dispatchErrors(() => new ParticleImageLibrary(settings))
+        if (this.particleImage === null) return false
+
+        // library event: DOM event, imageload is named like an img's load event
+        const events = {
+            imageload: 'load',
+            error: 'error',
+            transitionstart: 'transitionstart',
+            frame: 'frame',
+            transitionend: 'transitionend',
+            cancel: 'cancel',
+            resize: 'resize'
+        }
+        Object.keys(events).forEach(eventName => {
+            this.particleImage.on(eventName, data => this.dispatchEvent(new CustomEvent(events[eventName], { detail: data })))
+        })
+        return true
+    }
+
+    //calls callback, errors it throws are dispatched as error events since element callbacks can't throw to anyone
+    _dispatchErrors(callback) {
+        try {
+            return callback()
+        } catch (error) {
+            this.dispatchEvent(new CustomEvent('error', { detail: { error: error } }))
+            return null
+        }
+    }
+
+    //replaces the ParticleImage, particles carry on from where they are
+    _rebuild() {
+        const snapshot = this.particleImage.toJSON()
+        this.particleImage.destroy()
+        if (!this._create()) return
+        this._dispatchErrors(() => this.particleImage.restore(snapshot))
+        if (this.src) this._showSrc()
+    }
+
+    _showSrc() {
+        const src = this.src
+        this._shownSrc = src
+        // failures are dispatched as error events
+        this.particleImage.animateToImage(src, this.useImageColor).catch(() => { })
+    }
+
+    //settings tree from the attributes that are set, only the names given if any
+    _getAttributeSettings(names = Object.keys(ParticleImageElement.attributeSettings)) {
+        let settings = {}
+        names.forEach(name => {
+            const value = this.getAttribute(name)
+            if (value === null) return
+
+            const path = ParticleImageElement.attributeSettings[name].slice(0, -1)
+            const type = ParticleImageElement.attributeSettings[name].slice(-1)[0]
+            let target = settings
+            path.slice(0, -1).forEach(key => target = target[key] = target[key] || {})
+            target[path[path.length - 1]] = ParticleImageElement.parseAttribute(value, type)
+        })
+        return settings
+    }
+
+    static parseAttribute(value, type) {
+        if (type === 'number') return Number(value)
+        if (type === 'boolean') return value !== 'false'
+        if (type === 'list') return value.split(/[\s,]+/).filter(item => item !== '')
+        if (type === 'padding') {
+            const padding = Number(value)
+            return { top: padding, right: padding, bottom: padding, left: padding }
+        }
+        return value
+    }
+
+    //merges plain objects, other values (elements, arrays, functions) are kept as they are
+    static mergeSettings(target, ...sources) {
+        const isPlainObject = value => value !== null && typeof value === 'object'
+            && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+        sources.forEach(source => {
+            Object.keys(source).forEach(key => {
+                target[key] = isPlainObject(source[key])
+                    ? ParticleImageElement.mergeSettings(isPlainObject(target[key]) ? target[key] : {}, source[key])
+                    : source[key]
+            })
+        })
+        return target
+    }
+}
+
+/**
+ * Settings each attribute maps to: [section, ...path, type]
+ * types: 'number', 'string', 'boolean' (present unless "false"), 'list' (space or comma separated)
+ * and 'padding' (one number for every side)
+ */
+ParticleImageElement.attributeSettings = {
+    'seed': ['seed', 'number'],
+    'image-width': ['image', 'width', 'number'],
+    'image-height': ['image', 'height', 'number'],
+    'align-h': ['image', 'alignH', 'string'],
+    'align-v': ['image', 'alignV', 'string'],
+    'contain': ['image', 'contain', 'boolean'],
+    'width': ['canvas', 'width', 'number'],
+    'height': ['canvas', 'height', 'number'],
+    'renderer': ['canvas', 'renderer', 'string'],
+    'responsive': ['canvas', 'responsive', 'boolean'],
+    'padding': ['canvas', 'padding', 'padding'],
+    'density': ['particles', 'density', 'number'],
+    'sampling': ['particles', 'sampling', 'string'],
+    'alpha-threshold': ['particles', 'alphaThreshold', 'number'],
+    'luminance-threshold': ['particles', 'luminanceThreshold', 'number'],
+    'invert': ['particles', 'invert', 'boolean'],
+    'max-particles': ['particles', 'maxParticles', 'number'],
+    'assignment': ['particles', 'assignment', 'string'],
+    'shuffle': ['particles', 'shuffle', 'boolean'],
+    'remove-exited': ['particles', 'removeExited', 'boolean'],
+    'fill': ['particles', 'properties', 'fill', 'string'],
+    'opacity': ['particles', 'properties', 'opacity', 'number'],
+    'radius': ['particles', 'properties', 'radius', 'number'],
+    'shape': ['particles', 'properties', 'shape', 'string'],
+    'duration': ['animation', 'duration', 'number'],
+    'frames': ['animation', 'frames', 'number'],
+    'delay': ['animation', 'delay', 'number'],
+    'stagger': ['animation', 'stagger', 'number'],
+    'timing': ['animation', 'timingFunction', 'string'],
+    'move': ['animation', 'moveFunction', 'string'],
+    'property-function': ['animation', 'propertyFunction', 'string'],
+    'enter': ['animation', 'enter', 'string'],
+    'exit': ['animation', 'exit', 'string'],
+    'interaction': ['interaction', 'enabled', 'boolean'],
+    'interaction-mode': ['interaction', 'mode', 'string'],
+    'interaction-radius': ['interaction', 'radius', 'number'],
+    'interaction-strength': ['interaction', 'strength', 'number'],
+    'idle': ['idle', 'enabled', 'boolean'],
+    'idle-effects': ['idle', 'effects', 'list'],
+    'idle-amplitude': ['idle', 'amplitude', 'number'],
+    'idle-speed': ['idle', 'speed', 'number']
+}
+
+//camelCase properties for each attribute, ex: element.alignH = 'left' sets align-h
+//they are null while the attribute isn't set, setting null removes it so the default is used
+Object.keys(ParticleImageElement.attributeSettings).forEach(name => {
+    const type = ParticleImageElement.attributeSettings[name].slice(-1)[0]
+    const propertyName = name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())
+    Object.defineProperty(ParticleImageElement.prototype, propertyName, {
+        get: function () {
+            const value = this.getAttribute(name)
+            return value === null ? null : ParticleImageElement.parseAttribute(value, type)
+        },
+        set: function (value) {
+            if (value === null || value === undefined) return this.removeAttribute(name)
+            if (type === 'boolean') value = value ? '' : 'false'
+            if (Array.isArray(value)) value = value.join(' ')
+            this.setAttribute(name, String(value))
+        }
+    })
+})
+
+if (typeof customElements !== 'undefined' && !customElements.get('particle-image')) {
+    customElements.define('particle-image', ParticleImageElement)
+
+    // first in the head so page styles override it
+    if (document.head) {
+        const style = document.createElement('style')
+        style.textContent = 'particle-image { display: block; }'
+        document.head.insertBefore(style, document.head.firstChild)
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ParticleImageElement
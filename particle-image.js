@@ -11,6 +11,7 @@ function ParticleImage(settings = {}) {
     //-----------------------------------------------
     const defaults = {
         output: null,
+        seed: null, // number to get the same spawn layout, shuffle order and motion every time, null uses Math.random
         image: {
             width: 500,
             height: 500,
@@ -22,6 +23,10 @@ function ParticleImage(settings = {}) {
             element: null,
             width: 500,
             height: 500,
+            // '2d', 'webgl' (falls back to '2d' when unavailable, draws circles only) or canvas => renderer
+            renderer: '2d',
+            // fill the size of output and draw at the device pixel ratio, particles move to keep their place in the image
+            responsive: false,
             padding: {
                 top: 20,
                 right: 20,
@@ -31,23 +36,132 @@ function ParticleImage(settings = {}) {
         },
         particles: {
             density: 8,
+            sampling: 'grid', // 'grid', 'jitter', 'poisson', 'edge' or 'luminance'
+            alphaThreshold: 128, // pixels with alpha at or below this are skipped
+            luminanceThreshold: 128, // 'luminance' sampling only uses pixels darker than this
+            invert: false, // 'luminance' sampling uses pixels lighter than luminanceThreshold instead
+            maxParticles: null,
+            // maps pixels to particle properties, either (r, g, b, a, x, y) => properties or
+            // { radius, opacity, fill } each set to a source or { source, min, max, invert }
+            // sources: 'luminance', 'alpha', 'red', 'green', 'blue'
+            mapping: null,
+            // how particles are paired with new targets: 'random', 'index', 'spatial' (along a Hilbert curve),
+            // 'nearest' or 'color', defaults to 'random' if shuffle is true, otherwise 'index'
+            assignment: null,
             shuffle: true,
+            removeExited: false, // remove surplus particles from the pool and array once they have left, ex: for long slideshows
             array: [],
+            // optional properties drawn by the '2d' renderer:
+            // shape: 'circle', 'square', 'triangle', 'hexagon', 'star', 'rounded-rect', { text, font } for glyphs or emoji,
+            //     an image / canvas drawn as a sprite tinted with fill, or { image, tint: false } to keep its colors
+            // rotation (radians), stroke (color), strokeWidth (px), glow (shadow blur px) and blend (globalCompositeOperation)
             properties: {
                 fill: '#000000',
                 opacity: 1,
                 radius: 3
             },
+            draw: null, // (context, particle) => {} draws each particle instead of the built in shapes, '2d' renderer only
         },
         animation: {
-            frames: 50,
+            duration: null, // ms, frames are used when this is not set, 0 moves particles to the end in one frame
+            frames: 50, // legacy, length of the transition in animation frames
+            delay: 0, // ms before the transition starts
+            // ms between particles starting: a number (by index) or { mode: 'index' | 'distance' | 'random', amount, from }
+            // where from is the point distance is measured from, defaults to the canvas center
+            stagger: null,
             contain: true,
+            // name in ParticleImage.moveFunctions: 'linear', 'rotate', 'swirl', 'explode', 'wave', 'gravity', 'noise' or a function
             moveFunction: 'linear',
             timingFunction: 'easeOut',
-            propertyFunction: 'linear',
+            propertyFunction: 'linear', // name in ParticleImage.propertyFunctions: 'linear', 'bubble' or a function
+            // how new particles arrive and surplus particles leave, they fade in and out on the way:
+            // 'fade' (arrive from a random point, drift a little when leaving), 'scatter' (set how far with
+            // { mode: 'scatter', distance }), 'fall' (speed up like gravity, leave below the bottom edge or arrive
+            // from above the top edge),
+            // 'implode' (leave to the center of the current image, arrive from the center of the new one),
+            // 'from-edges' (the nearest edge of the canvas) or 'from-point(x, y)'
+            enter: 'fade',
+            exit: 'fade',
+        },
+        interaction: {
+            enabled: false,
+            mode: 'repel', // 'repel', 'attract' or 'ripple'
+            radius: 80, // distance from the pointer (px) that particles react within
+            strength: 6, // max distance (px) particles are pushed per frame
+            spring: .1, // pull back towards the particle position, 0 - 1
+            friction: .8, // velocity kept each frame, 0 - 1
+        },
+        // ambient motion around each particle's resting point after a transition ends
+        idle: {
+            enabled: false,
+            effects: ['float'], // any of 'float', 'jitter', 'breathe', 'noise-drift', 'twinkle'
+            amplitude: 3, // max distance (px) particles move from their resting point
+            speed: 1, // multiplier for how fast effects play
+            pauseWhenHidden: true, // stop drawing while the canvas is offscreen or the tab is hidden
+        },
+        // browser apis used by the library, replace them to render outside the browser, ex: with node-canvas
+        platform: {
+            createCanvas: (width, height) => {
+                const canvas = document.createElement('canvas')
+                canvas.width = width
+                canvas.height = height
+                return canvas
+            },
+            loadImage: src => new Promise((resolve, reject) => {
+                const imageObj = new Image()
+                imageObj.crossOrigin = 'anonymous'
+                imageObj.onload = () => resolve(imageObj)
+                imageObj.onerror = () => reject(new Error(`couldn't load image: ${src}`))
+                imageObj.src = src
+            }),
+            // callback gets the frame timestamp in ms, from the same clock as now()
+            requestFrame: callback => typeof requestAnimationFrame === 'function'
+                ? requestAnimationFrame(callback)
+                : setTimeout(() => callback(_this.platform.now()), 1000 / 60),
+            cancelFrame: id => typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame(id) : clearTimeout(id),
+            now: () => typeof performance !== 'undefined' ? performance.now() : Date.now(),
+            // callback gets false while the element is offscreen or the tab is hidden, returns a function that stops observing
+            observeVisibility: (element, callback) => {
+                const hasDocument = typeof document !== 'undefined' && typeof document.addEventListener === 'function'
+                let isOnscreen = true
+                const update = () => callback(isOnscreen && !(hasDocument && document.hidden))
+                const observer = typeof IntersectionObserver === 'function'
+                    ? new IntersectionObserver(entries => {
+                        isOnscreen = entries[entries.length - 1].isIntersecting
+                        update()
+                    })
+                    : null
+
+                if (observer !== null) observer.observe(element)
+                if (hasDocument) document.addEventListener('visibilitychange', update)
+                return () => {
+                    if (observer !== null) observer.disconnect()
+                    if (hasDocument) document.removeEventListener('visibilitychange', update)
+                }
+            },
+            // callback gets the content size (css px) of the element when it changes, returns a function that stops observing
+            observeResize: (element, callback) => {
+                if (typeof ResizeObserver !== 'function') return () => { }
+                const observer = new ResizeObserver(entries => {
+                    const { width, height } = entries[entries.length - 1].contentRect
+                    callback(width, height)
+                })
+                observer.observe(element)
+                return () => observer.disconnect()
+            },
+            getPixelRatio: () => typeof devicePixelRatio === 'number' ? devicePixelRatio : 1,
         }
     }
 
+    const idleEffects = ['float', 'jitter', 'breathe', 'noise-drift', 'twinkle']
+    const particleAssignments = ['random', 'index', 'spatial', 'nearest', 'color']
+
+    // names of the settings in each section, saved by toJSON()
+    const settingNames = {}
+    Object.keys(defaults).forEach(section => {
+        if (section !== 'platform' && isPlainObject(defaults[section])) settingNames[section] = Object.keys(defaults[section])
+    })
+
     let mergedSettings = mergeDeep(defaults, settings)
 
     this.output = mergedSettings.output
@@ -55,18 +169,70 @@ function ParticleImage(settings = {}) {
     this.canvas = mergedSettings.canvas
     this.particles = mergedSettings.particles
     this.animation = mergedSettings.animation
+    this.interaction = mergedSettings.interaction
+    this.idle = mergedSettings.idle
+    this.platform = mergedSettings.platform
+    this.seed = mergedSettings.seed
+    this._random = null // returns a float from 0 to 1, set by reseed()
+
+    /**
+     * Restarts random numbers from a seed, layers are reseeded from the same seed
+     * @param {Number|null} seed null uses Math.random
+     * @returns {ParticleImage} this
+     */
+    this.reseed = function (seed) {
+        this.seed = seed
+        this._random = seed === null ? Math.random : createRandom(seed)
+        if (this.layers) this.layers.forEach((layer, i) => layer.particleImage.reseed(seed === null ? null : seed + i + 1))
+        return this
+    }
 
     //add canvas props/methods
     this.canvas.context = null
+    this.canvas.activeRenderer = null // { type, context, clear(), render(pool, matrix, particles) }
+    this.canvas.pixelRatio = 1 // backing store pixels for each canvas pixel
+    this.canvas.stopObserving = null
+    this.canvas.ownsElement = false // true if the element was created here, destroy() only removes it then
+    // with layers every pool is drawn together by drawLayers()
     this.canvas.clear = function () {
-        this.context.clearRect(0, 0, this.width, this.height)
+        if (_this.layers.length === 0) this.activeRenderer.clear()
+    }
+    this.canvas.drawParticles = function (pool) {
+        if (_this.layers.length === 0) this.activeRenderer.render(pool)
+        else if (!_this._compositeFrame.drawing) drawLayers()
     }
     this.canvas.init = function () {
-        this.element = this.element instanceof HTMLCanvasElement ? this.element : document.createElement('canvas')
-        this.element.width = this.width
-        this.element.height = this.height
-        this.context = this.element.getContext('2d')
-        if (_this.output) _this.output.appendChild(this.element)
+        this.ownsElement = !(this.element && typeof this.element.getContext === 'function')
+        if (this.ownsElement) this.element = _this.platform.createCanvas(this.width, this.height)
+        this.pixelRatio = this.responsive ? _this.platform.getPixelRatio() : 1
+        this.element.width = Math.round(this.width * this.pixelRatio)
+        this.element.height = Math.round(this.height * this.pixelRatio)
+        this.activeRenderer = createRenderer(this.renderer)
+        this.context = this.activeRenderer.context
+        if (_this.output && this.element.parentNode !== _this.output) _this.output.appendChild(this.element)
+
+        const container = _this.output || this.element.parentNode
+        if (this.responsive && container) {
+            if (this.element.style) Object.assign(this.element.style, { display: 'block', width: '100%', height: '100%' })
+            this.stopObserving = _this.platform.observeResize(container, (width, height) => this.resize(width, height))
+        }
+    }
+    //changes the size in canvas pixels, particles animate to keep their place in the image
+    this.canvas.resize = function (width, height) {
+        const pixelRatio = this.responsive ? _this.platform.getPixelRatio() : 1
+        if (width <= 0 || height <= 0) return
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return
+
+        const previousLayout = getImageLayout()
+        this.width = width
+        this.height = height
+        this.pixelRatio = pixelRatio
+        this.element.width = Math.round(width * pixelRatio)
+        this.element.height = Math.round(height * pixelRatio)
+        emit('resize', { width: width, height: height, pixelRatio: pixelRatio })
+        _this.clearImageCache()
+        retargetParticles(previousLayout)
+        resizeLayers({ width: width, height: height })
     }
 
     //add image props / methods
@@ -89,97 +255,419 @@ function ParticleImage(settings = {}) {
         return { width: width, height: height }
     }
 
+    //add interaction props / methods
+    this.interaction.pointer = null // { x, y } while the pointer is over the canvas
+    this.interaction.ripples = [] // [{ x, y, radius }]
+    this.interaction.settling = false // true while any particle is still displaced
+    this.interaction.stopListening = null
+    this.interaction.init = function () {
+        if (this.stopListening !== null) return
+        const element = _this.canvas.element
+        const listeners = {
+            pointermove: e => {
+                if (this.mode !== 'ripple') this.pointer = this.getPointerPosition(e)
+                startRestingLoop()
+            },
+            pointerdown: e => {
+                const pointer = this.getPointerPosition(e)
+                if (this.mode === 'ripple') this.ripples.push({ ...pointer, radius: 0 })
+                else this.pointer = pointer
+                startRestingLoop()
+            },
+            pointerup: e => {
+                if (e.pointerType !== 'mouse') this.pointer = null
+            },
+            pointerleave: () => this.pointer = null,
+            pointercancel: () => this.pointer = null
+        }
+        Object.keys(listeners).forEach(eventName => element.addEventListener(eventName, listeners[eventName]))
+        this.stopListening = () => {
+            Object.keys(listeners).forEach(eventName => element.removeEventListener(eventName, listeners[eventName]))
+            this.stopListening = null
+        }
+    }
+    this.interaction.getPointerPosition = function (e) {
+        const rect = _this.canvas.element.getBoundingClientRect()
+        return {
+            x: (e.clientX - rect.left) * (_this.canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (_this.canvas.height / rect.height)
+        }
+    }
+    //fires once each frame before forces are applied to particles
+    this.interaction.update = function () {
+        this.settling = false
+        this.ripples.forEach(ripple => ripple.radius += this.radius / 30)
+        this.ripples = this.ripples.filter(ripple => ripple.radius < this.radius)
+    }
+    //applies pointer forces to the particle at the index of this.particles.pool
+    this.interaction.applyForces = function (i) {
+        const { offsetX, offsetY, velocityX, velocityY } = _this.particles.pool
+        const x = _this.particles.pool.x[i] + offsetX[i]
+        const y = _this.particles.pool.y[i] + offsetY[i]
+
+        const push = (fromX, fromY, force) => {
+            const dx = x - fromX,
+                dy = y - fromY,
+                distance = Math.sqrt(dx * dx + dy * dy) || 1
+            velocityX[i] += (dx / distance) * force
+            velocityY[i] += (dy / distance) * force
+        }
+
+        if (this.pointer !== null) {
+            const distance = Math.hypot(x - this.pointer.x, y - this.pointer.y)
+            if (distance < this.radius) {
+                const force = (1 - distance / this.radius) * this.strength
+                push(this.pointer.x, this.pointer.y, this.mode === 'attract' ? -force : force)
+            }
+        }
+
+        // ripples push particles near the edge of the wave outwards and weaken as they spread
+        const rippleWidth = this.radius / 4
+        for (let r = 0; r < this.ripples.length; r++) {
+            const ripple = this.ripples[r]
+            const distanceFromWave = Math.abs(Math.hypot(x - ripple.x, y - ripple.y) - ripple.radius)
+            if (distanceFromWave < rippleWidth) {
+                const force = (1 - distanceFromWave / rippleWidth) * (1 - ripple.radius / this.radius) * this.strength
+                push(ripple.x, ripple.y, force)
+            }
+        }
+
+        // spring back to the particle position
+        velocityX[i] = (velocityX[i] - offsetX[i] * this.spring) * this.friction
+        velocityY[i] = (velocityY[i] - offsetY[i] * this.spring) * this.friction
+        offsetX[i] += velocityX[i]
+        offsetY[i] += velocityY[i]
+
+        if (Math.abs(offsetX[i]) + Math.abs(offsetY[i]) + Math.abs(velocityX[i]) + Math.abs(velocityY[i]) > .05) {
+            this.settling = true
+        } else {
+            offsetX[i] = offsetY[i] = velocityX[i] = velocityY[i] = 0
+        }
+    }
+    //true while frames need to be drawn for pointer interaction
+    this.interaction.isActive = function () {
+        return this.enabled && (this.pointer !== null || this.ripples.length > 0 || this.settling)
+    }
+
+    //add idle props / methods
+    this.idle.running = false // true from the end of a transition until the next transition or cancelAnimation
+    this.idle.visible = true // false while the canvas is offscreen or the tab is hidden
+    this.idle.time = 0 // seconds since idle effects started scaled by speed, set each frame
+    this.idle.startTime = null // frame timestamp idle effects started at, set by the first frame after start()
+    this.idle.strength = 0 // 0 - 1, effects ease in after starting so particles don't jump from their resting point
+    this.idle.activeEffects = {} // { effectName: Boolean }, set each frame
+    this.idle.stopObserving = null
+    this.idle.init = function () {
+        if (this.stopObserving !== null || !this.pauseWhenHidden || typeof _this.platform.observeVisibility !== 'function') return
+        this.stopObserving = _this.platform.observeVisibility(_this.canvas.element, visible => {
+            this.visible = visible
+            startRestingLoop()
+        })
+    }
+    //starts effects from their resting point, called when a transition ends
+    this.idle.start = function () {
+        this.running = true
+        this.startTime = null
+    }
+    //fires once each frame before effects are applied to particles
+    this.idle.update = function (time) {
+        const effects = [].concat(this.effects)
+        if (this.startTime === null) this.startTime = time
+        const elapsed = time - this.startTime
+        this.time = elapsed / 1000 * this.speed
+        this.strength = Math.min(1, elapsed / 600)
+        idleEffects.forEach(effect => this.activeEffects[effect] = effects.includes(effect))
+    }
+    //moves the particle at the index of this.particles.pool around its resting point
+    this.idle.applyEffects = function (i) {
+        const pool = _this.particles.pool
+        const { time, strength, activeEffects } = this
+        const amplitude = this.amplitude * strength
+        const seed = pool.randFloat[i]
+        const phase = seed * Math.PI * 2
+        let x = pool.toX[i],
+            y = pool.toY[i]
+
+        if (activeEffects.float) {
+            x += Math.sin(time * .8 + phase) * amplitude
+            y += Math.cos(time * .6 + phase * 1.3) * amplitude
+        }
+        // fast noise rather than random numbers so seeded renders don't depend on how many frames were drawn
+        if (activeEffects.jitter) {
+            x += ParticleImage.noise(i * 1.7, time * 20) * amplitude * .5
+            y += ParticleImage.noise(i * 1.7 + 100, time * 20) * amplitude * .5
+        }
+        if (activeEffects['noise-drift']) {
+            const noiseX = pool.toX[i] * .01,
+                noiseY = pool.toY[i] * .01
+            x += ParticleImage.noise(noiseX + time * .3, noiseY) * amplitude * 2
+            y += ParticleImage.noise(noiseX, noiseY + time * .3 + 100) * amplitude * 2
+        }
+        pool.x[i] = x
+        pool.y[i] = y
+
+        if (activeEffects.breathe) pool.radius[i] = pool.toRadius[i] * (1 + Math.sin(time * 1.5 + seed * .5) * .15 * strength)
+        if (activeEffects.twinkle) pool.opacity[i] = pool.toOpacity[i] * (1 - (.2 - Math.sin(time * 3 * (1 + seed * .5) + phase) * .2) * strength)
+    }
+    //true while frames need to be drawn for idle effects
+    this.idle.isActive = function () {
+        return this.enabled && this.running && (this.visible || !this.pauseWhenHidden)
+    }
+
+    validateSettings(settings)
+    this.reseed(this.seed)
     this.canvas.init()
+    if (this.interaction.enabled) this.interaction.init()
+    if (this.idle.enabled) this.idle.init()
 
     this._requestedFrame = null // id of the last requested animation frame
+    this._compositeFrame = { id: null, requests: new Set(), drawing: false } // frame shared by this instance and its layers
+    this.layers = [] // [{ name, z, transform, particleImage }]
+    this._transition = null // { resolve } of the transition currently animating
+    this._resample = null // samples the current source again after settings change, null if particles were set directly
+    this._exiting = [] // indexes of the particles leaving in the current transition
+    this._exited = [] // indexes of the particles that finished leaving, they enter like new particles
+    this._loads = 0 // incremented whenever particles are set, so images that finish loading after a newer call are ignored
+    this.destroyed = false
+    this._listeners = {} // { eventName: [callback] }
+
+    /**
+     * Adds a listener for a lifecycle event. Callbacks receive a single data object.
+     * Events: imageload, error, transitionstart, frame, transitionend, cancel, resize
+     * @returns {ParticleImage} this
+     */
+    this.on = function (eventName, callback) {
+        if (!this._listeners[eventName]) this._listeners[eventName] = []
+        this._listeners[eventName].push(callback)
+        return this
+    }
+
+    /**
+     * Removes a listener added with on(). Removes all listeners for the event if no callback is given.
+     * @returns {ParticleImage} this
+     */
+    this.off = function (eventName, callback = null) {
+        if (!this._listeners[eventName]) return this
+        this._listeners[eventName] = callback === null
+            ? []
+            : this._listeners[eventName].filter(listener => listener !== callback)
+        return this
+    }
 
+    //stops the running transition, idle effects and video sampling
     this.cancelAnimation = function () {
-        if (this._requestedFrame === null) return false
-        cancelAnimationFrame(this._requestedFrame)
-        this._requestedFrame = null
-        return true
+        this.idle.running = false
+        const stoppedVideo = this.stopVideo()
+        return cancelTransition() || stoppedVideo
     }
 
-    this.setParticlesToImage = function (src, useImageColor = true, onload = null) {
-        const imageObj = new Image()
-        imageObj.crossOrigin = 'anonymous'
-        imageObj.onload = function (e) {
-            const imageData = _this.getImageData(imageObj)
-            let transitionDataArr = _this.getParticleDataFromImage(imageData, useImageColor)
+    /**
+     * Stops all frames and timers, removes listeners and observers, destroys layers and the renderer and drops particles.
+     * The canvas element is removed only if it was created by this instance. Images still loading resolve false.
+     * The instance can't be used after this.
+     */
+    this.destroy = function () {
+        if (this.destroyed) return
+        this.destroyed = true
+        this._loads++
 
-            _this.setParticles(transitionDataArr)
-            _this.animate()
-            if (typeof onload === 'function') onload(_this.particles.array)
-        }
-        imageObj.src = src
+        this.stop()
+        this.cancelAnimation()
+        this.layers.forEach(layer => layer.particleImage.destroy())
+        this.layers = []
+        if (this._compositeFrame.id !== null) this.platform.cancelFrame(this._compositeFrame.id)
+        this._compositeFrame = { id: null, requests: new Set(), drawing: false }
+
+        if (this.interaction.stopListening !== null) this.interaction.stopListening()
+        if (this.idle.stopObserving !== null) this.idle.stopObserving()
+        if (this.canvas.stopObserving !== null) this.canvas.stopObserving()
+        this.idle.stopObserving = null
+        this.canvas.stopObserving = null
+
+        const { element, activeRenderer } = this.canvas
+        if (activeRenderer && typeof activeRenderer.destroy === 'function') activeRenderer.destroy()
+        if (this.canvas.ownsElement && element.parentNode) element.parentNode.removeChild(element)
+        this.stopVideo(true)
+
+        this.particles.pool = createParticlePool()
+        this.particles.array = []
+        this._exiting = []
+        this._exited = []
+        this.video.element = null
+        this.interaction.pointer = null
+        this.interaction.ripples = []
+        this._imageCache = {}
+        this._resample = null
+        this._transition = null
+        this._listeners = {}
+    }
+
+    /**
+     * Loads the image and animates particles to it. If particles are set again before it loads, the image is ignored.
+     * @returns {Promise<Boolean>} resolves when the transition ends (false if it was cancelled or superseded), rejects if the image fails to load
+     */
+    this.setParticlesToImage = function (src, useImageColor = true, onload = null) {
+        const load = ++this._loads
+        return this.platform.loadImage(src).then(imageObj => {
+            if (load !== this._loads) return false
+            emit('imageload', { src: src, image: imageObj })
+            const transition = setParticlesToDrawable(imageObj, useImageColor)
+            if (typeof onload === 'function') onload(this.particles.array)
+            return transition
+        }, error => {
+            if (load !== this._loads) return false
+            emit('error', { src: src, error: error })
+            throw error
+        })
     }
 
     this.setParticles = function (transitionDataArr = []) {
-        //if new particles are required, add them until there is enough
-        let newParticles = []
-        while (this.particles.array.length < transitionDataArr.length) {
-            let particle = new this.Particle()
-            this.particles.array.push(particle)
-            newParticles.push(particle)
+        this._loads++
+        this._resample = null
+        const pool = this.particles.pool
+        const previousCount = pool.count
+        const assignment = this.particles.assignment || (this.particles.shuffle ? 'random' : 'index')
+        if (!particleAssignments.includes(assignment)) throw new Error(`couldn't find particle assignment: ${assignment}`)
+        const invalidShape = [this.particles.properties, ...transitionDataArr.map(data => data.toProperties || {})]
+            .map(properties => properties.shape)
+            .find(shape => shape !== undefined && !isParticleShape(shape))
+        if (invalidShape !== undefined) throw new Error(`couldn't find particle shape: ${invalidShape}`)
+        const enter = getChoreography(this.animation.enter, 'enter')
+        const exit = getChoreography(this.animation.exit, 'exit')
+        if (enter.mode === 'implode') enter.point = getCentroid(transitionDataArr.map(data => data.toPoint))
+        if (exit.mode === 'implode') {
+            const visibleParticles = this.particles.array.filter(particle => pool.opacity[particle.index] > 0)
+            exit.point = getCentroid(visibleParticles.map(particle => particle.point))
         }
 
-        // get particles required for the transition
-        let particlesToUse = transitionDataArr.length < this.particles.array.length
-            ? getEvenlyDistributedSample(this.particles.array, transitionDataArr.length)
-            : this.particles.array
-
-        //shuffle transition data if this.particleShuffle = true
-        transitionDataArr = this.particles.shuffle ? shuffleArray(transitionDataArr) : transitionDataArr
+        //if new particles are required, add them until there is enough
+        while (pool.count < transitionDataArr.length) {
+            pool.add(this.getRandomPoint())
+            this.particles.array.push(new this.Particle(pool.count - 1))
+        }
 
-        // add transition data to required particles, otherwise prepare fade out
-        let curTransitionDataIndex = 0
-        this.particles.array.forEach(particle => {
+        // pair particles with transition data, particles without any exit
+        const dataIndexes = getParticleAssignment(transitionDataArr, assignment)
+        const exited = new Set(this._exited)
+        this._exiting = []
+        this._exited = []
+        for (let i = 0; i < pool.count; i++) {
             //if particle is not new, set to transition from current position and props
-            if (!newParticles.includes(particle)) {
-                particle.transitionData.fromProperties = particle.properties
-                particle.transitionData.fromPoint = particle.point
-            }
-            if (particlesToUse.includes(particle)) {
-                let transitionData = transitionDataArr[curTransitionDataIndex]
-                particle.updateTransitionData({ toProperties: this.particles.properties })
-                particle.updateTransitionData(transitionData)
-                curTransitionDataIndex++
+            if (i < previousCount) pool.setFromCurrent(i)
+            pool.gravity[i] = 0
+            if (dataIndexes[i] !== -1) {
+                const transitionData = transitionDataArr[dataIndexes[i]]
+                pool.setProperties('to', i, this.particles.properties)
+                pool.updateTransitionData(i, transitionData)
+                // particles that exited before enter like new ones, new ones already start from a random point for 'fade'
+                const isHidden = i < previousCount && (exited.has(i) || pool.opacity[i] < .01)
+                if ((isHidden || (i >= previousCount && enter.mode !== 'fade')) && !transitionData.fromPoint) {
+                    const enterPoint = getChoreographyPoint(enter, i, false)
+                    pool.setPoint('point', i, enterPoint)
+                    pool.setPoint('from', i, enterPoint)
+                    pool.setPoint('spawn', i, enterPoint)
+                    if (enter.mode === 'fall') pool.gravity[i] = 1
+                }
             } else {
-                let fadeOutPoint = this.getRandomPoint({ maxDistance: 20, fromPoint: particle.point })
-                fadeOutPoint = rotatePoint(fadeOutPoint, particle.getSpawnPoint(), .25)
-                particle.prepareFadeOut(fadeOutPoint)
+                pool.prepareFadeOut(i, getChoreographyPoint(exit, i, true))
+                if (exit.mode === 'fall') pool.gravity[i] = 1
+                this._exiting.push(i)
             }
-        })
+        }
     }
 
-    this.animate = function (transitionDataArr = null) {
-
-        const { timingFunction, frames } = this.animation
+    /**
+     * Animates particles from their current position to their transition data
+     * @param {Object} options overrides for this.animation settings
+     * @returns {Promise<Boolean>} resolves true when the transition ends, false if it is cancelled first,
+     * rejects if a function or particle shape can't be found
+     */
+    this.animate = function (transitionDataArr = null, options = {}) {
+
+        const animation = { ...this.animation, ...options }
+        const { timingFunction, moveFunction, propertyFunction, frames, duration, delay, stagger } = animation
+
+        // rejects before anything changes if a function doesn't exist
+        let applyTimingFunction
+        try {
+            applyTimingFunction = ParticleImage.getTimingFunction(timingFunction)
+            ParticleImage.getMoveFunction(moveFunction)
+            ParticleImage.getPropertyFunction(propertyFunction)
+        } catch (error) {
+            return Promise.reject(error)
+        }
 
-        this.cancelAnimation()
+        cancelTransition()
         let curFrame = 0
-        if (transitionDataArr) this.setParticles(transitionDataArr)
+        if (transitionDataArr) {
+            try {
+                this.setParticles(transitionDataArr)
+            } catch (error) {
+                return Promise.reject(error)
+            }
+        }
 
-        const animateFrame = () => {
-            this.canvas.clear()
-            let completion = curFrame / frames
-            let animationPosition = applyTimingFunction(completion, timingFunction)
+        // progress is measured in ms when a duration is set, otherwise in frames
+        const { usesDuration, length } = getTransitionLength(animation)
+        const frameDuration = 1000 / 60
+        const toUnits = ms => usesDuration ? ms : ms / frameDuration
+        const transitionLength = usesDuration ? duration : frames
+        const delayUnits = toUnits(delay)
+        const staggerOffsets = stagger ? getStaggerOffsets(stagger).map(toUnits) : null
+        const startTime = this.platform.now()
+
+        return new Promise(resolve => {
+            this._transition = { resolve: resolve }
+
+            const animateFrame = timestamp => {
+                const time = typeof timestamp === 'number' ? timestamp : this.platform.now()
+                const elapsed = usesDuration ? time - startTime : curFrame
+                // the last frame always finishes the transition, in frames mode it is drawn at frame length - 1
+                const isLastFrame = usesDuration ? elapsed >= length : curFrame >= length - 1
+                const getCompletion = offset => {
+                    if (isLastFrame) return 1
+                    const progress = elapsed - delayUnits - offset
+                    // a transition without length jumps to the end once its delay has passed
+                    if (transitionLength === 0) return progress >= 0 ? 1 : 0
+                    return Math.min(1, Math.max(0, progress / transitionLength))
+                }
+
+                this.canvas.clear()
+                let animationPosition = applyTimingFunction(getCompletion(0))
+
+                const pool = this.particles.pool
+                if (this.interaction.enabled) this.interaction.update()
+                for (let i = 0; i < pool.count; i++) {
+                    if (staggerOffsets !== null) animationPosition = applyTimingFunction(getCompletion(staggerOffsets[i]))
+                    pool.setToFramePosition(i, animationPosition, moveFunction, propertyFunction)
+                    if (this.interaction.enabled) this.interaction.applyForces(i)
+                }
+                this.canvas.drawParticles(pool)
+                emit('frame', { frame: curFrame, completion: isLastFrame ? 1 : elapsed / length, time: time })
 
-            for (let i = 0; i < this.particles.array.length; i++) {
-                let particle = this.particles.array[i]
-                particle.setPropsToFramePosition(animationPosition)
-                particle.draw()
+                curFrame++
+                if (!isLastFrame) {
+                    this._requestedFrame = requestFrame(animateFrame)
+                } else {
+                    this._requestedFrame = null
+                    this._transition = null
+                    this._exited = this._exiting
+                    if (this.particles.removeExited) removeExitedParticles()
+                    emit('transitionend', { particles: this.particles.array })
+                    resolve(true)
+                    this.idle.start()
+                    startRestingLoop()
+                }
             }
-            curFrame++
-            if (curFrame < frames) this._requestedFrame = requestAnimationFrame(animateFrame)
-        }
 
-        animateFrame()
+            emit('transitionstart', { frames: frames, duration: duration, particles: this.particles.array })
+            animateFrame()
+        })
     }
 
     this.getImageData = function (imageObj) {
         const { width, height } = this.image.getContainedDimensions()
-        return getImageData(imageObj, width, height)
+        return getImageData(imageObj, width, height, this.image.alignH, this.image.alignV)
     }
 
 
@@ -212,34 +700,31 @@ function ParticleImage(settings = {}) {
 
 
     this.getParticleDataFromImage = function (imageData, includeColor = true) {
-        const { width, height, data } = imageData
+        const { width, data } = imageData
         const { shiftX, shiftY } = this.getImageShift()
-        const { density } = this.particles
-
-        let particleData = []
-        for (let x = 0; x < width; x += density) {
-            for (let y = 0; y < height; y += density) {
-                let position = (x + y * width) * 4
-                if (data[position + 3] > 128) {
+        const { maxParticles, mapping } = this.particles
 
-                    let transitionData = {
-                        toPoint: { x: x + shiftX, y: y + shiftY }
-                    }
-                    if (includeColor) {
-                        let r = data[position],
-                            g = data[position + 1],
-                            b = data[position + 2]
+        let points = getSamplePoints(imageData)
+        if (typeof maxParticles === 'number' && points.length > maxParticles) {
+            points = getEvenlyDistributedSample(points, maxParticles)
+        }
 
-                        transitionData.toProperties = {
-                            fill: rgbToHex(r, g, b)
-                        }
-                    }
-                    particleData.push(transitionData)
-                }
+        return points.map(({ x, y }) => {
+            let transitionData = {
+                toPoint: { x: x + shiftX, y: y + shiftY }
             }
-        }
-        return particleData
+            let position = (x + y * width) * 4,
+                r = data[position],
+                g = data[position + 1],
+                b = data[position + 2],
+                a = data[position + 3]
 
+            let toProperties = includeColor ? { fill: rgbToHex(r, g, b) } : {}
+            if (mapping) Object.assign(toProperties, getMappedProperties(r, g, b, a, x, y))
+            if (Object.keys(toProperties).length > 0) transitionData.toProperties = toProperties
+
+            return transitionData
+        })
     }
 
     /**
@@ -262,7 +747,7 @@ function ParticleImage(settings = {}) {
             maxY = contain ? height - padding.bottom : height
 
         if (typeof maxDistance === 'number') {
-            if (!isPointObject(fromPoint)) return void console.error('if setting a max distance, you must also specify a from point')
+            if (!isPointObject(fromPoint)) throw new Error('getRandomPoint needs a fromPoint when maxDistance is set')
             minX = Math.max(fromPoint.x - maxDistance, minX)
             minY = Math.max(fromPoint.y - maxDistance, minY)
             maxX = Math.min(fromPoint.x + maxDistance, maxX)
@@ -275,272 +760,2606 @@ function ParticleImage(settings = {}) {
         }
     }
 
+    /**
+     * @returns {Promise<Boolean>} resolves when the transition ends, rejects if the image fails to load
+     */
     this.animateToImage = function (src, useImageColor = true) {
-        this.setParticlesToImage(src, useImageColor, () => {
-            _this.animate()
+        return this.setParticlesToImage(src, useImageColor)
+    }
+
+    /**
+     * Draws the text and animates particles to it. Use \n for multiple lines.
+     * @param {Object} options { font, size, weight, align, lineHeight, fill, useImageColor }
+     * @returns {Promise<Boolean>} resolves when the transition ends
+     */
+    this.setParticlesToText = function (text, options = {}) {
+        const {
+            font = 'sans-serif',
+            size = 100,
+            weight = 'bold',
+            align = 'center', // alignment of lines within the text block: 'left', 'center' or 'right'
+            lineHeight = 1.2,
+            fill = this.particles.properties.fill,
+            useImageColor = true
+        } = options
+
+        const lines = String(text).split('\n')
+        const canvas = this.platform.createCanvas(1, 1)
+        const context = canvas.getContext('2d')
+        const fontString = `${weight} ${size}px ${font}`
+
+        context.font = fontString
+        const lineWidths = lines.map(line => context.measureText(line).width)
+        canvas.width = Math.max(1, Math.ceil(Math.max(...lineWidths)))
+        canvas.height = Math.max(1, Math.ceil(lines.length * size * lineHeight))
+
+        //resizing the canvas resets the context
+        context.font = fontString
+        context.fillStyle = fill
+        context.textAlign = align
+        context.textBaseline = 'middle'
+
+        const x = align === 'left' ? 0 : align === 'right' ? canvas.width : canvas.width / 2
+        lines.forEach((line, i) => {
+            context.fillText(line, x, (i + .5) * size * lineHeight)
         })
+
+        return setParticlesToDrawable(canvas, useImageColor)
     }
 
+    /**
+     * Draws the SVG and animates particles to it
+     * @param {String|Path2D} svg SVG markup, path data (the "d" attribute) or a Path2D
+     * @param {Object} options { fill, width, height, useImageColor } width and height are the size of the
+     * coordinate space for paths, defaults to the image width and height
+     * @returns {Promise<Boolean>} resolves when the transition ends, rejects if the SVG markup fails to load
+     */
+    this.setParticlesToSVG = function (svg, options = {}) {
+        const {
+            fill = this.particles.properties.fill,
+            width = this.image.width,
+            height = this.image.height,
+            useImageColor = true
+        } = options
 
-    // PARTICLE OBJECT
-    //-----------------------------------------------
+        if (typeof svg === 'string' && svg.trim().startsWith('<')) {
+            const src = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+            const load = ++this._loads
+            return this.platform.loadImage(src).then(imageObj => {
+                URL.revokeObjectURL(src)
+                if (load !== this._loads) return false
+                return setParticlesToDrawable(imageObj, useImageColor)
+            }, error => {
+                URL.revokeObjectURL(src)
+                if (load !== this._loads) return false
+                emit('error', { src: svg, error: error })
+                throw error
+            })
+        }
 
-    this.Particle = function (point = null, properties = null) {
+        const path = typeof svg === 'string' ? new Path2D(svg) : svg
+        const canvas = this.platform.createCanvas(width, height)
+        const context = canvas.getContext('2d')
 
-        const spawnPoint = isPointObject(point) ? point : _this.getRandomPoint()
-        const spawnProperties = properties === null ? { ..._this.particles.properties } : properties
-        const context = _this.canvas.context
+        context.fillStyle = fill
+        context.fill(path)
 
-        this.point = spawnPoint // { x: 30.43, y: 21.22 }
-        this.properties = spawnProperties // { fill, opacity, radius }
-        this.getSpawnPoint = () => spawnPoint
-        this.getSpawnProperties = () => spawnProperties
+        return setParticlesToDrawable(canvas, useImageColor)
+    }
 
-        this.transitionData = {
-            fromPoint: spawnPoint,
-            fromProperties: spawnProperties,
-            toPoint: spawnPoint,
-            toProperties: spawnProperties
-        }
 
-        //used to add variation in the movement function for each particle
-        this.randFloat = getRandomFloat(-1, 1)
+    // VIDEO
+    //-----------------------------------------------
 
-        //puts the particle on canvas
-        this.draw = function () {
-            context.globalAlpha = this.properties.opacity
-            context.fillStyle = this.properties.fill
-            context.beginPath()
-            context.arc(this.point.x, this.point.y, this.properties.radius, 0, Math.PI * 2, false)
-            context.fill()
-            context.globalAlpha = 1
-        }
-
-        this.setTransitionFromCurrent
-        //fires each frame to update properties throughout transition
-        this.setPropsToFramePosition = function (completion) {
-            const { fromPoint, fromProperties, toPoint, toProperties } = this.transitionData
-            const { moveFunction, propertyFunction } = _this.animation
-
-            this.point = applyMoveFunction({
-                fromPoint: fromPoint,
-                toPoint: toPoint,
-                completion: completion,
-                randFloat: this.randFloat,
-                spawnPoint: spawnPoint
-            }, moveFunction)
-
-            // Get transition values for properties
-            this.properties = applyPropertyFunction({
-                fromProperties: fromProperties,
-                toProperties: toProperties,
-                completion: completion,
-                randFloat: this.randFloat
-            }, propertyFunction)
-        }
-
-        this.prepareFadeOut = function (toPoint = null) {
-            const point = isPointObject(toPoint) ? toPoint : _this.getRandomPoint()
-            this.updateTransitionData({
-                toPoint: point,
-                toProperties: {
-                    opacity: 0,
-                    radius: 0
-                }
-            })
+    this.video = {
+        element: null,
+        stream: null, // MediaStream the element was created for, stopped with the video
+        sampleEvery: 100, // ms between frames sampled from the video
+        useImageColor: true,
+        timer: null,
+        lastTime: null // currentTime of the last sampled video frame
+    }
+
+    /**
+     * Resamples the video on a fixed cadence and animates particles to each frame
+     * @param {HTMLVideoElement|MediaStream} source video element or stream, ex: from getUserMedia or canvas.captureStream
+     * @param {Object} options { sampleEvery, useImageColor }
+     * @returns {ParticleImage} this
+     */
+    this.setParticlesToVideo = function (source, options = {}) {
+        const { sampleEvery = 100, useImageColor = true } = options
+
+        this.stopVideo()
+        releaseVideoStream()
+        let element = source
+        if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+            this.video.stream = source
+            element = document.createElement('video')
+            element.muted = true
+            element.playsInline = true
+            element.srcObject = source
+            element.play().catch(error => emit('error', { src: source, error: error }))
         }
 
-        this.prepareFadeIn = function (toPoint = null) {
-            const point = isPointObject(toPoint) ? toPoint : _this.getRandomPoint()
-            this.updateTransitionData({
-                fromPoint: point,
-                fromProperties: {
-                    opacity: 0,
-                    radius: 0
-                }
+        this.video.element = element
+        this.video.sampleEvery = sampleEvery
+        this.video.useImageColor = useImageColor
+        this.startVideo()
+        return this
+    }
+
+    /**
+     * Starts sampling the video set with setParticlesToVideo
+     * @returns {Boolean} false if there is no video or it is already being sampled
+     */
+    this.startVideo = function () {
+        const video = this.video
+        if (video.element === null || video.timer !== null) return false
+
+
+        const sampleFrame = () => {
+            const { element } = video
+            if (element.readyState < 2 || element.currentTime === video.lastTime) return
+            video.lastTime = element.currentTime
+
+            const imageData = this.getImageData(element)
+            // each transition lasts until the next frame is sampled
+            this.animate(this.getParticleDataFromImage(imageData, video.useImageColor), {
+                duration: video.sampleEvery,
+                delay: 0,
+                stagger: null
+            }).catch(error => {
+                // every frame would fail the same way
+                this.stopVideo()
+                emit('error', { src: element, error: error })
             })
         }
 
-        this.updateTransitionData = function (transitionData = {}) {
-            const { fromPoint = {}, fromProperties = {}, toPoint = {}, toProperties = {} } = transitionData
-            this.transitionData.fromPoint = { ...this.transitionData.fromPoint, ...fromPoint }
-            this.transitionData.fromProperties = { ...this.transitionData.fromProperties, ...fromProperties }
-            this.transitionData.toPoint = { ...this.transitionData.toPoint, ...toPoint }
-            this.transitionData.toProperties = { ...this.transitionData.toProperties, ...toProperties }
-        }
+        video.timer = setInterval(sampleFrame, video.sampleEvery)
+        sampleFrame()
+        return true
+    }
 
-        this.prepareFadeIn(spawnPoint)
+    /**
+     * Stops sampling the video, particles stay on the last sampled frame
+     * @param {Boolean} [release=false] also pause the video created for a MediaStream and stop the stream's tracks, ex: to turn a webcam off.
+     * The video can't be started again, set it with setParticlesToVideo
+     * @returns {Boolean} false if the video was not being sampled
+     */
+    this.stopVideo = function (release = false) {
+        if (release) releaseVideoStream()
+        if (this.video.timer === null) return false
+        clearInterval(this.video.timer)
+        this.video.timer = null
+        this.video.lastTime = null
+        return true
     }
 
+    //pauses the video created for a MediaStream and stops the stream, videos that were passed in are left alone
+    function releaseVideoStream() {
+        const { element, stream } = _this.video
+        if (stream === null) return
+        element.pause()
+        element.srcObject = null
+        stream.getTracks().forEach(track => track.stop())
+        _this.video.element = null
+        _this.video.stream = null
+    }
 
+    // IMAGE SEQUENCE
+    //-----------------------------------------------
 
+    this._imageCache = {} // { key: Promise<transitionDataArr> }
+
+    this.sequence = {
+        sources: [],
+        index: -1, // index of the source currently shown
+        interval: 3000, // ms to wait after a transition ends before showing the next source
+        loop: true,
+        useImageColor: true,
+        playing: false,
+        timer: null,
+        token: 0 // incremented for each goTo so stale loads and transitions are ignored
+    }
 
-    // PRIVATE METHODS
-    //-----------------------------------------------
+    /**
+     * Loads the image and gets its particle data. Results are cached by src, so call clearImageCache()
+     * after changing the canvas, image or particle density settings.
+     * @returns {Promise<Array>} transition data for each particle
+     */
+    this.preloadImage = function (src, useImageColor = true) {
+        const key = `${useImageColor ? 1 : 0}:${src}`
+        if (!this._imageCache[key]) {
+            this._imageCache[key] = this.platform.loadImage(src).then(imageObj => {
+                emit('imageload', { src: src, image: imageObj })
+                return this.getParticleDataFromImage(this.getImageData(imageObj), useImageColor)
+            }, error => {
+                delete this._imageCache[key]
+                emit('error', { src: src, error: error })
+                throw error
+            })
+        }
+        return this._imageCache[key]
+    }
 
-    function getImageData(image, width = null, height = null) {
-        const canvas = document.createElement('canvas')
-        const context = canvas.getContext('2d')
+    this.clearImageCache = function () {
+        this._imageCache = {}
+    }
 
-        canvas.width = typeof width === 'number' ? width : image.width
-        canvas.height = typeof height === 'number' ? height : image.height
+    /**
+     * Starts cycling through the sources, or resumes the current sequence if no sources are given
+     * @param {Array<String>} sources image urls
+     * @param {Object} options { interval, loop, useImageColor }
+     * @returns {ParticleImage} this
+     */
+    this.play = function (sources = null, options = {}) {
+        const sequence = this.sequence
+        const { interval = sequence.interval, loop = sequence.loop, useImageColor = sequence.useImageColor } = options
 
-        const hRatio = canvas.width / image.width
-        const vRatio = canvas.height / image.height
-        const ratio = Math.min(hRatio, vRatio);
+        if (Array.isArray(sources)) {
+            sequence.sources = sources.slice()
+            sequence.index = -1
+        }
+        sequence.interval = interval
+        sequence.loop = loop
+        sequence.useImageColor = useImageColor
+        sequence.playing = true
 
-        const centerShiftX = ((canvas.width - image.width * ratio) / 2)
-        const centerShiftY = ((canvas.height - image.height * ratio) / 2)
+        sequence.sources.forEach(src => this.preloadImage(src, useImageColor).catch(() => { }))
 
-        context.drawImage(
-            image,
-            0,
-            0,
-            image.width,
-            image.height,
-            centerShiftX,
-            centerShiftY,
-            image.width * ratio,
-            image.height * ratio
-        )
-        return context.getImageData(0, 0, canvas.width, canvas.height)
+        if (sequence.index === -1) this.goTo(0).catch(() => { })
+        else scheduleNextInSequence()
+        return this
     }
 
-    function getEvenlyDistributedSample(arr, samples) {
-        let results = [arr.shift()], // add first item
-            interval = arr.length / samples
-        for (let i = 1; i < samples - 1; i++) {
-            results.push(arr[Math.floor(i * interval)]);
-        }
-        results.push(arr.pop()) //add last item
-        return results
+    /**
+     * Animates to the source at the index. A transition that is still running is retargeted from the
+     * particles' current positions.
+     * @returns {Promise<Boolean>} resolves when the transition ends (false if it was cancelled or superseded)
+     */
+    this.goTo = function (index) {
+        const sequence = this.sequence
+        const count = sequence.sources.length
+        if (count === 0) return Promise.resolve(false)
+
+        clearTimeout(sequence.timer)
+        index = ((index % count) + count) % count
+        sequence.index = index
+        const token = ++sequence.token
+        const load = ++this._loads
+
+        return this.preloadImage(sequence.sources[index], sequence.useImageColor).then(transitionDataArr => {
+            if (token !== sequence.token || load !== this._loads) return false
+            const transition = this.animate(transitionDataArr.slice())
+            this._resample = () => this.goTo(index)
+            return transition
+        }, error => {
+            if (token === sequence.token && sequence.playing) scheduleNextInSequence()
+            throw error
+        }).then(completed => {
+            if (completed && token === sequence.token && sequence.playing) scheduleNextInSequence()
+            return completed
+        })
     }
 
-    function rgbToHex(r, g, b) {
-        function componentToHex(c) {
-            var hex = c.toString(16);
-            return hex.length == 1 ? "0" + hex : hex;
-        }
-        return "#" + componentToHex(r) + componentToHex(g) + componentToHex(b);
+    this.next = function () {
+        const { index, sources, loop } = this.sequence
+        if (!loop && index >= sources.length - 1) return Promise.resolve(false)
+        return this.goTo(index + 1)
     }
 
-    function applyPropertyFunction(settings, func) {
-        const { toProperties, fromProperties, completion, randFloat } = settings
-        const booster = 1 - (Math.abs(.5 * completion) * 2) // = 0 when completion = 0 or 1 and 1 when completion = .5.
-
-        let betweenValues = []
-        Object.keys(_this.particles.properties).forEach(prop => {
-            let transitionVal = getTransitionValue(fromProperties[prop], toProperties[prop], completion)
-            betweenValues[prop] = transitionVal
-        })
+    this.prev = function () {
+        const { index, loop } = this.sequence
+        if (!loop && index <= 0) return Promise.resolve(false)
+        return this.goTo(index - 1)
+    }
 
-        const propertyFunctions = {
-            linear: function () {
-                return betweenValues
-            },
-            bubble: function () {
-                betweenValues.radius += booster * Math.min(Math.abs((booster * randFloat) * toProperties.radius), toProperties.radius * 1.5)
-                return betweenValues
-            }
-        }
+    //stops autoplay, the current transition still finishes
+    this.pause = function () {
+        this.sequence.playing = false
+        clearTimeout(this.sequence.timer)
+        return this
+    }
 
-        const propertyFunction = 'function' === typeof func ? func : propertyFunctions[func]
-        if ('function' !== typeof propertyFunction) console.error(`couldn\'t find property function: ${propertyFunction}`)
-        return propertyFunction(settings)
+    //stops autoplay, ignores sources that are still loading and resets to the start of the sequence
+    this.stop = function () {
+        this.pause()
+        this.sequence.token++
+        this.sequence.index = -1
+        return this
     }
 
-    // Returns {x, y} coordinates
-    function applyMoveFunction(settings, func) {
-        const { toPoint, fromPoint, completion, randFloat, spawnPoint } = settings
-        const booster = 1 - (Math.abs(.5 * completion) * 2) // = 0 when completion = 0 or 1 and 1 when completion = .5.
 
-        // Point if going directly in straight line between fromPoint and toPoint
-        const betweenPoint = {
-            x: getTransitionNumber(fromPoint.x, toPoint.x, completion),
-            y: getTransitionNumber(fromPoint.y, toPoint.y, completion),
+    // RECORDING
+    //-----------------------------------------------
+
+    /**
+     * Renders the current transition frame by frame, without waiting for the display, and encodes it.
+     * Call after setParticles or an animate / setParticlesTo... call to record that transition from its start.
+     * @param {Object} options
+     * format: 'gif', 'webm' (needs MediaRecorder), 'png' (array of frames) or 'zip' (png frames in a zip)
+     * fps: frames per second of the output
+     * frames: number of frames to capture, defaults to the length of the transition
+     * transitionData: transition data to set before recording
+     * onProgress: called with { frame, frames, progress } after each frame is captured
+     * @returns {Promise<Blob|Uint8Array|Array>} Blob in the browser, Uint8Array or Buffers outside of it
+     */
+    this.record = function (options = {}) {
+        const { usesDuration, length } = getTransitionLength(this.animation)
+        const {
+            format = 'gif',
+            fps = 30,
+            frames = usesDuration ? Math.ceil(length / 1000 * fps) + 1 : length,
+            transitionData = null,
+            onProgress = null
+        } = options
+
+        const element = this.canvas.element
+        const formats = ['gif', 'webm', 'png', 'zip']
+        if (!formats.includes(format)) return Promise.reject(new Error(`couldn't find record format: ${format}`))
+        if (format === 'webm' && (typeof MediaRecorder === 'undefined' || typeof element.captureStream !== 'function')) {
+            return Promise.reject(new Error('recording webm needs MediaRecorder and canvas.captureStream'))
         }
 
-        const moveFunctions = {
-            linear: function () {
-                return betweenPoint
-            },
-            rotate: function () {
-                let rotPoint = rotatePoint(betweenPoint, toPoint, completion),
-                    xBoost = (spawnPoint.x * randFloat) * booster,
-                    yBoost = (spawnPoint.y * randFloat) * booster
+        // drive the animation loop with a scheduler that only moves when a frame is captured
+        cancelTransition()
+        const { requestFrame, cancelFrame, now } = this.platform
+        const scheduler = ParticleImage.createManualScheduler(1000 / fps)
+        this.platform.requestFrame = scheduler.requestFrame
+        this.platform.cancelFrame = scheduler.cancelFrame
+        this.platform.now = scheduler.now
+
+        const restorePlatform = () => {
+            cancelTransition()
+            this.platform.requestFrame = requestFrame
+            this.platform.cancelFrame = cancelFrame
+            this.platform.now = now
+            // a frame for layers may still be waiting on the recording scheduler
+            if (this._compositeFrame.id !== null) this._compositeFrame.id = requestFrame(drawCompositeFrame)
+        }
 
-                return {
-                    x: getTransitionNumber(betweenPoint.x, rotPoint.x + xBoost, completion),
-                    y: getTransitionNumber(betweenPoint.y, rotPoint.y + yBoost, completion)
-                }
+        let captureFrame, finish
+        if (format === 'gif') {
+            const captureCanvas = this.platform.createCanvas(element.width, element.height)
+            const captureContext = captureCanvas.getContext('2d')
+            const encoder = createGIFEncoder(element.width, element.height, Math.round(100 / fps))
+
+            captureFrame = () => {
+                captureContext.clearRect(0, 0, element.width, element.height)
+                captureContext.drawImage(element, 0, 0)
+                encoder.addFrame(captureContext.getImageData(0, 0, element.width, element.height))
             }
+            finish = () => {
+                const bytes = encoder.finish()
+                return typeof Blob !== 'undefined' ? new Blob([bytes], { type: 'image/gif' }) : bytes
+            }
+        } else if (format === 'webm') {
+            const stream = element.captureStream(0)
+            const track = stream.getVideoTracks()[0]
+            const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' })
+            let chunks = []
+            recorder.ondataavailable = e => chunks.push(e.data)
+            recorder.start()
+
+            // MediaRecorder timestamps frames as they arrive, so frames are spaced in real time
+            captureFrame = () => {
+                track.requestFrame()
+                return new Promise(resolve => setTimeout(resolve, 1000 / fps))
+            }
+            finish = () => new Promise(resolve => {
+                recorder.onstop = () => {
+                    track.stop()
+                    resolve(new Blob(chunks, { type: 'video/webm' }))
+                }
+                recorder.stop()
+            })
+        } else {
+            let pngFrames = []
+            captureFrame = () => pngFrames.push(getCanvasPNG(element))
+            finish = () => Promise.all(pngFrames).then(pngs => {
+                if (format === 'png') return pngs
+                return Promise.all(pngs.map(getBytes)).then(files => {
+                    const bytes = createZip(files.map((data, i) => ({
+                        name: `frame-${String(i + 1).padStart(4, '0')}.png`,
+                        data: data
+                    })))
+                    return typeof Blob !== 'undefined' ? new Blob([bytes], { type: 'application/zip' }) : bytes
+                })
+            })
         }
 
-        const moveFunction = 'function' === typeof func ? func : moveFunctions[func]
-        if ('function' !== typeof moveFunction) console.error(`couldn\'t find move function: ${moveFunction}`)
-        return moveFunction(settings)
-    }
-
-    // returns adjusted percent between 0 and 1
-    function applyTimingFunction(percent, func) {
-        const timingFunctions = {
-            easeOut: num => 1 - Math.pow(1 - num, 3),
-            linear: num => num
+        // animate rejects before drawing anything if the transition data is invalid, recording then stops
+        let animationError = null
+        this.animate(transitionData).catch(error => animationError = error)
+
+        // the first frame is drawn by animate, each later frame by stepping the scheduler
+        const recordFrame = frame => {
+            if (frame > 0) scheduler.step(1)
+            return Promise.resolve(captureFrame()).then(() => {
+                if (animationError !== null) throw animationError
+                if (typeof onProgress === 'function') {
+                    onProgress({ frame: frame + 1, frames: frames, progress: (frame + 1) / frames })
+                }
+                if (frame + 1 < frames) return recordFrame(frame + 1)
+            })
         }
 
-        const timingFunction = 'function' === typeof func ? func : timingFunctions[func]
-        if ('function' !== typeof timingFunction) console.error(`couldn\'t find timing function: ${timingFunction}`)
-        return timingFunction(percent)
+        return recordFrame(0).then(() => {
+            restorePlatform()
+            startRestingLoop()
+            return finish()
+        }, error => {
+            restorePlatform()
+            throw error
+        })
     }
 
+    // LAYERS
+    //-----------------------------------------------
 
     /**
-     * True if is object containing keys x, y
+     * Adds a group of particles with its own source, alignment and animation, drawn on the same canvas in z-order.
+     * This instance's own particles are drawn at z 0.
+     * @param {Object} settings { particles, image, animation, idle, interaction, z, transform }
+     * transform is { x, y, scale, rotation (radians), origin } where origin defaults to the canvas center
+     * and isn't applied to pointer positions for interaction
+     * @returns {ParticleImage} the layer, use it to set particles and animate them
      */
-    function isPointObject(testVar) {
-        if (!isObject(testVar)) return false
-
-        const keys = Object.keys(testVar)
-        return keys.length === 2 && keys.includes('x') && keys.includes('y')
+    this.addLayer = function (name, settings = {}) {
+        if (this.getLayer(name) !== null) throw new Error(`layer already exists: ${name}`)
+        const { z = this.layers.length + 1, transform = {}, ...layerSettings } = settings
+
+        const seed = this.seed === null ? null : this.seed + this.layers.length + 1
+        const particleImage = new ParticleImage(mergeDeep({ seed: seed }, layerSettings, {
+            output: null,
+            canvas: {
+                element: this.canvas.element,
+                width: this.canvas.width,
+                height: this.canvas.height,
+                padding: this.canvas.padding,
+                // this instance observes the canvas and resizes layers with it
+                responsive: false,
+                // layers are drawn by drawLayers() in frames shared with this instance
+                renderer: () => ({
+                    type: 'layer',
+                    context: this.canvas.context,
+                    clear: () => { },
+                    render: () => this.canvas.drawParticles(null)
+                })
+            },
+            platform: {
+                ...this.platform,
+                requestFrame: callback => requestFrame(callback),
+                cancelFrame: id => cancelFrame(id),
+                now: () => this.platform.now()
+            }
+        }))
+        // the layer sized the shared canvas for its own pixel ratio, size it back
+        particleImage.canvas.pixelRatio = this.canvas.pixelRatio
+        this.canvas.element.width = Math.round(this.canvas.width * this.canvas.pixelRatio)
+        this.canvas.element.height = Math.round(this.canvas.height * this.canvas.pixelRatio)
+
+        this.layers.push({
+            name: name,
+            z: z,
+            transform: { x: 0, y: 0, scale: 1, rotation: 0, origin: null, ...transform },
+            particleImage: particleImage
+        })
+        drawLayers()
+        return particleImage
     }
 
-    /**
-     * Returns value between of two vals. Accepts hex color strings and numbers, otherwise returns to arg
-     */
-    function getTransitionValue(from, to, completion) {
+    //gets the ParticleImage of a layer added with addLayer
+    this.getLayer = function (name) {
+        const layer = this.layers.find(layer => layer.name === name)
+        return layer ? layer.particleImage : null
+    }
 
-        const isUndefined = val => typeof val === 'undefined'
-        const isHexColor = val => /^#[0-9A-F]{6}$/i.test(val)
-        const isNumber = val => typeof val === 'number'
+    //destroys the layer and removes it from the canvas
+    this.removeLayer = function (name) {
+        const index = this.layers.findIndex(layer => layer.name === name)
+        if (index === -1) return false
 
-        if (isNumber(from) && isNumber(to)) return getTransitionNumber(from, to, completion)
-        if (isHexColor(from) && isHexColor(to)) return getTransitionColor(from, to, completion)
-        if (isUndefined(to)) return from
-        return to
+        this.layers[index].particleImage.destroy()
+        this.layers.splice(index, 1)
+        drawLayers()
+        return true
     }
 
     /**
-     * Returns number between two nums
-     * @param completion 0 = fromNum and 1 = toNum
-     * @returns {Number} float, ex: 0.239
+     * Changes the offset, scale or rotation of a layer
+     * @param {Object} transform { x, y, scale, rotation, origin }, values not given are kept
      */
-    function getTransitionNumber(fromNum, toNum, completion = .5) {
-        let distance = toNum - fromNum
-        return fromNum + distance * completion
+    this.setLayerTransform = function (name, transform) {
+        const layer = this.layers.find(layer => layer.name === name)
+        if (!layer) throw new Error(`couldn't find layer: ${name}`)
+        Object.assign(layer.transform, transform)
+        if (!this._compositeFrame.drawing) drawLayers()
     }
 
-    function shuffleArray(array) {
-        let currentIndex = array.length, randomIndex;
-        while (currentIndex != 0) {
-            randomIndex = Math.floor(Math.random() * currentIndex);
-            currentIndex--;
-            [array[currentIndex], array[randomIndex]] = [
-                array[randomIndex], array[currentIndex]
-            ];
+    // CONFIGURE
+    //-----------------------------------------------
+
+    /**
+     * Changes settings after construction, given in the same shape as the constructor's. Particles animate to the
+     * new layout when image, canvas size or sampling settings change, the current source is sampled again if known.
+     * canvas.element, canvas.responsive and canvas.renderer can only be set when constructing.
+     * @returns {Promise<Boolean>|null} the transition to the new layout, null if particles didn't need to move
+     */
+    this.configure = function (settings = {}) {
+        validateSettings(settings)
+        const { canvas = {}, particles = {} } = settings
+        // a canvas keeps the first context it gives out, so the renderer can't change
+        if ('element' in canvas || 'responsive' in canvas || 'renderer' in canvas) {
+            throw new Error('canvas.element, canvas.responsive and canvas.renderer can only be set when constructing')
         }
 
-        return array;
-    }
+        const previousLayout = getImageLayout()
+        const wasIdle = this.idle.isActive()
+        const wasIdleEnabled = this.idle.enabled
+        Object.keys(settings).forEach(key => {
+            if (key === 'seed') this.reseed(settings.seed)
+            else if (key === 'output') this.output = settings.output
+            else mergeDeep(this[key], settings[key])
+        })
+
+        if (settings.output) settings.output.appendChild(this.canvas.element)
+        if ('width' in canvas || 'height' in canvas) {
+            this.canvas.element.width = Math.round(this.canvas.width * this.canvas.pixelRatio)
+            this.canvas.element.height = Math.round(this.canvas.height * this.canvas.pixelRatio)
+        }
+        if (this.interaction.enabled) this.interaction.init()
+        else if (this.interaction.stopListening !== null) {
+            this.interaction.stopListening()
+            this.interaction.pointer = null
+            this.interaction.ripples = []
+        }
+        if (this.idle.enabled && !wasIdleEnabled) this.idle.startTime = null
+        if (this.idle.enabled) this.idle.init()
+        else if (this.idle.stopObserving !== null) {
+            this.idle.stopObserving()
+            this.idle.stopObserving = null
+        }
+        // particles moved by idle effects go back to their resting point
+        if (wasIdle && !this.idle.enabled) {
+            for (let i = 0; i < this.particles.pool.count; i++) this.particles.pool.setToFramePosition(i, 1, 'linear', 'linear')
+        }
+
+        // layers share the canvas so they follow its size
+        const canvasLayout = {}
+        const canvasLayoutNames = ['width', 'height', 'padding']
+        canvasLayoutNames.forEach(name => {
+            if (name in canvas) canvasLayout[name] = canvas[name]
+        })
+        const changesCanvasLayout = Object.keys(canvasLayout).length > 0
+        if (changesCanvasLayout) resizeLayers(canvasLayout)
+
+        const samplingNames = ['density', 'sampling', 'alphaThreshold', 'luminanceThreshold', 'invert', 'maxParticles', 'mapping']
+        const changesLayout = changesCanvasLayout || 'image' in settings || samplingNames.some(name => name in particles)
+        if (changesLayout) {
+            this.clearImageCache()
+            const transition = this._resample !== null ? this._resample() : retargetParticles(previousLayout)
+            if (transition !== null) return transition
+        }
+
+        this.canvas.clear()
+        this.canvas.drawParticles(this.particles.pool)
+        startRestingLoop()
+        return null
+    }
+
+    // SNAPSHOTS
+    //-----------------------------------------------
+
+    /**
+     * Saves settings and the state of every particle so they can be restored without loading or sampling images.
+     * Functions, elements and the platform aren't saved.
+     * @returns {Object} plain object for JSON.stringify, restore with restore() or ParticleImage.fromJSON()
+     */
+    this.toJSON = function () {
+        // the seed is kept so instances from fromJSON() stay reproducible
+        let settings = { seed: this.seed }
+        Object.keys(settingNames).forEach(section => {
+            settings[section] = {}
+            settingNames[section].forEach(name => {
+                const value = name !== 'array' ? toSerializable(this[section][name]) : undefined
+                if (value !== undefined) settings[section][name] = value
+            })
+        })
+
+        return {
+            version: 1,
+            settings: settings,
+            particles: this.particles.pool.serialize(),
+            layers: this.layers.map(({ name, z, transform, particleImage }) => ({
+                name: name,
+                z: z,
+                transform: toSerializable(transform),
+                ...particleImage.toJSON()
+            }))
+        }
+    }
+
+    //sets every particle and layer to the state saved by toJSON(), other settings aren't changed
+    this.restore = function (data) {
+        if (!data || data.version !== 1) throw new Error(`couldn't restore particle state version: ${data && data.version}`)
+
+        cancelTransition()
+        const pool = this.particles.pool
+        pool.deserialize(data.particles)
+        this._exiting = []
+        this._exited = []
+        this.particles.array.length = 0
+        for (let i = 0; i < pool.count; i++) this.particles.array.push(new this.Particle(i))
+
+        const layers = data.layers || []
+        layers.forEach(layerData => {
+            const { name, z, transform, settings } = layerData
+            const layer = this.getLayer(name) || this.addLayer(name, { ...settings, z: z, transform: transform })
+            layer.restore(layerData)
+        })
+
+        this.canvas.clear()
+        this.canvas.drawParticles(pool)
+        this.idle.start()
+        startRestingLoop()
+        return this
+    }
+
+    /**
+     * Loads and samples an image into targets that importTargets() can use without the image, ex: at build time
+     * @param {String|Object} src image url or a loaded image / canvas
+     * @returns {Promise<Object>} plain object for JSON.stringify
+     */
+    this.exportTargets = function (src, useImageColor = true) {
+        const loading = typeof src === 'string' ? this.platform.loadImage(src) : Promise.resolve(src)
+        return loading.then(imageObj => {
+            const transitionDataArr = this.getParticleDataFromImage(this.getImageData(imageObj), useImageColor)
+            let points = [],
+                properties = {}
+
+            transitionDataArr.forEach(({ toPoint, toProperties = {} }, i) => {
+                points.push(Math.round(toPoint.x * 100) / 100, Math.round(toPoint.y * 100) / 100)
+                Object.keys(toProperties).forEach(prop => {
+                    if (!properties[prop]) properties[prop] = new Array(transitionDataArr.length).fill(null)
+                    properties[prop][i] = toSerializable(toProperties[prop])
+                })
+            })
+            return { version: 1, layout: getImageLayout(), points: points, properties: properties }
+        })
+    }
+
+    /**
+     * Gets transition data from targets saved by exportTargets(), moved to fit the canvas if its size has changed
+     * ex: particleImage.animate(particleImage.importTargets(targets))
+     * @returns {Array} transition data for setParticles() or animate()
+     */
+    this.importTargets = function (data) {
+        if (!data || data.version !== 1) throw new Error(`couldn't import targets version: ${data && data.version}`)
+
+        const { points, properties } = data
+        const mapping = getLayoutMapping(data.layout)
+        return Array.from({ length: points.length / 2 }, (_, i) => {
+            let transitionData = { toPoint: { x: mapping.x(points[i * 2]), y: mapping.y(points[i * 2 + 1]) } }
+            Object.keys(properties).forEach(prop => {
+                if (properties[prop][i] === null) return
+                if (!transitionData.toProperties) transitionData.toProperties = {}
+                transitionData.toProperties[prop] = properties[prop][i]
+            })
+            return transitionData
+        })
+    }
+
+    // PARTICLE OBJECT
+    //-----------------------------------------------
+
+    // particle state is stored in typed arrays by index, see createParticlePool()
+    this.particles.pool = createParticlePool()
+
+    /**
+     * View of the particle at an index of this.particles.pool. this.particles.array holds one for each particle.
+     * point, properties, offset, velocity and transitionData read and write the pool, ex: particle.point.x = 5,
+     * spread them to keep a copy, ex: { ...particle.point }
+     * Breaking change: particles used to be created with new Particle(point, properties), they are now only
+     * made by setParticles() and the animate / setParticlesTo... methods, which add them to the pool.
+     */
+    this.Particle = function (index) {
+        this.index = index
+    }
+
+    Object.defineProperties(this.Particle.prototype, {
+        point: {
+            get: function () { return _this.particles.pool.getPointView('point', this.index) },
+            set: function (point) { _this.particles.pool.setPoint('point', this.index, point) }
+        },
+        properties: {
+            get: function () { return _this.particles.pool.getPropertiesView('current', this.index) },
+            set: function (properties) { _this.particles.pool.setProperties('current', this.index, properties) }
+        },
+        // setting it changes only the points and properties given, like updateTransitionData
+        transitionData: {
+            get: function () {
+                const pool = _this.particles.pool
+                return {
+                    fromPoint: pool.getPointView('from', this.index),
+                    fromProperties: pool.getPropertiesView('from', this.index),
+                    toPoint: pool.getPointView('to', this.index),
+                    toProperties: pool.getPropertiesView('to', this.index)
+                }
+            },
+            set: function (transitionData) { _this.particles.pool.updateTransitionData(this.index, transitionData) }
+        },
+        //displacement from point caused by pointer interaction
+        offset: {
+            get: function () { return _this.particles.pool.getPointView('offset', this.index) },
+            set: function (offset) { _this.particles.pool.setPoint('offset', this.index, offset) }
+        },
+        velocity: {
+            get: function () { return _this.particles.pool.getPointView('velocity', this.index) },
+            set: function (velocity) { _this.particles.pool.setPoint('velocity', this.index, velocity) }
+        },
+        //used to add variation in the movement function for each particle
+        randFloat: {
+            get: function () { return _this.particles.pool.randFloat[this.index] },
+            set: function (randFloat) { _this.particles.pool.randFloat[this.index] = randFloat }
+        }
+    })
+
+    this.Particle.prototype.getSpawnPoint = function () {
+        return _this.particles.pool.getPoint('spawn', this.index)
+    }
+
+    //properties the particle was added with
+    this.Particle.prototype.getSpawnProperties = function () {
+        return { ...(_this.particles.pool.spawnProperties[this.index] || _this.particles.properties) }
+    }
+
+    //puts the particle on canvas, renderers draw all particles at once instead
+    this.Particle.prototype.draw = function () {
+        const context = _this.canvas.context
+        const pool = _this.particles.pool
+        // copies, drawing reads them many times
+        const point = pool.getPoint('point', this.index),
+            offset = pool.getPoint('offset', this.index),
+            properties = pool.getProperties('current', this.index)
+        if (typeof context.arc !== 'function' || properties.radius <= 0) return
+
+        context.save()
+        context.globalAlpha = properties.opacity
+        context.fillStyle = properties.fill
+        if (typeof _this.particles.draw === 'function') _this.particles.draw(context, this)
+        else {
+            if (properties.blend) context.globalCompositeOperation = properties.blend
+            if (properties.glow > 0) {
+                context.shadowBlur = properties.glow
+                context.shadowColor = properties.fill
+            }
+            drawParticleShape(context, point.x + offset.x, point.y + offset.y, properties.radius, properties.fill, properties)
+        }
+        context.restore()
+    }
+
+    //fires each frame to update properties throughout transition
+    this.Particle.prototype.setPropsToFramePosition = function (completion) {
+        _this.particles.pool.setToFramePosition(this.index, completion)
+    }
+
+    this.Particle.prototype.prepareFadeOut = function (toPoint = null) {
+        _this.particles.pool.prepareFadeOut(this.index, toPoint)
+    }
+
+    this.Particle.prototype.prepareFadeIn = function (toPoint = null) {
+        _this.particles.pool.prepareFadeIn(this.index, toPoint)
+    }
+
+    this.Particle.prototype.updateTransitionData = function (transitionData = {}) {
+        _this.particles.pool.updateTransitionData(this.index, transitionData)
+    }
+
+
+
+
+    // PRIVATE METHODS
+    //-----------------------------------------------
+
+    /**
+     * Keeps drawing frames after a transition for idle effects and while particles react to the pointer.
+     * Does nothing if a transition is already requesting frames.
+     */
+    function startRestingLoop() {
+        const isActive = () => _this.idle.isActive() || _this.interaction.isActive()
+        if (_this._requestedFrame !== null || !isActive()) return
+
+        const restingFrame = timestamp => {
+            const time = typeof timestamp === 'number' ? timestamp : _this.platform.now()
+            const idle = _this.idle.isActive()
+            const interaction = _this.interaction.enabled
+
+            _this.canvas.clear()
+            if (idle) _this.idle.update(time)
+            if (interaction) _this.interaction.update()
+            const pool = _this.particles.pool
+            for (let i = 0; i < pool.count; i++) {
+                if (idle) _this.idle.applyEffects(i)
+                if (interaction) _this.interaction.applyForces(i)
+            }
+            _this.canvas.drawParticles(pool)
+            _this._requestedFrame = isActive() ? requestFrame(restingFrame) : null
+        }
+
+        _this._requestedFrame = requestFrame(restingFrame)
+    }
+
+    // ENTER AND EXIT
+    //-----------------------------------------------
+
+    /**
+     * Gets { mode, distance, point } from the animation.enter or animation.exit setting
+     * @param {String} name 'enter' or 'exit', used in errors
+     */
+    function getChoreography(value, name) {
+        const modes = ['fade', 'scatter', 'fall', 'implode', 'from-edges', 'from-point']
+        const [, x, y] = typeof value === 'string' && value.match(/^from-point\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\)$/) || []
+        if (x !== undefined) return { mode: 'from-point', distance: 0, point: { x: Number(x), y: Number(y) } }
+
+        const { mode, distance = 100, point = null } = typeof value === 'string' ? { mode: value } : value || {}
+        if (!modes.includes(mode)) throw new Error(`couldn't find ${name} mode: ${isPlainObject(value) ? mode : value}`)
+        if (typeof distance !== 'number' || isNaN(distance)) throw new Error(`${name} distance must be a number: ${distance}`)
+        if (mode === 'from-point' && !isPointObject(point)) throw new Error(`${name} mode from-point needs a point: ${point}`)
+        return { mode: mode, distance: distance, point: point }
+    }
+
+    /**
+     * Gets the point a particle enters from (measured from its target) or exits to (measured from its current point)
+     * @param {Object} choreography from getChoreography(), point is set to the centroid for 'implode'
+     */
+    function getChoreographyPoint(choreography, i, exiting) {
+        const pool = _this.particles.pool
+        const point = pool.getPoint(exiting ? 'point' : 'to', i)
+        const margin = (exiting ? pool.radius[i] : pool.toRadius[i]) + 1 // distance past the edge so it's hidden
+        const { width, height } = _this.canvas
+        const { mode } = choreography
+
+        if (mode === 'fade') {
+            if (!exiting) return _this.getRandomPoint()
+            const driftPoint = _this.getRandomPoint({ maxDistance: 20, fromPoint: point })
+            return rotatePoint(driftPoint, pool.getPoint('spawn', i), .25)
+        }
+        if (mode === 'scatter') {
+            const angle = random() * Math.PI * 2
+            const distance = choreography.distance * (.5 + random() * .5)
+            return { x: point.x + Math.cos(angle) * distance, y: point.y + Math.sin(angle) * distance }
+        }
+        if (mode === 'fall') return { x: point.x, y: exiting ? height + margin : -margin }
+        if (mode === 'from-edges') {
+            const edgeDistances = [point.x, width - point.x, point.y, height - point.y]
+            const edge = edgeDistances.indexOf(Math.min(...edgeDistances))
+            if (edge === 0) return { x: -margin, y: point.y }
+            if (edge === 1) return { x: width + margin, y: point.y }
+            if (edge === 2) return { x: point.x, y: -margin }
+            return { x: point.x, y: height + margin }
+        }
+        // 'implode' and 'from-point'
+        return { x: choreography.point.x, y: choreography.point.y }
+    }
+
+    //average of the points, the canvas center if there are none
+    function getCentroid(points) {
+        points = points.filter(isPointObject)
+        if (points.length === 0) return { x: _this.canvas.width / 2, y: _this.canvas.height / 2 }
+
+        let x = 0,
+            y = 0
+        points.forEach(point => {
+            x += point.x
+            y += point.y
+        })
+        return { x: x / points.length, y: y / points.length }
+    }
+
+    //removes the particles that left in the last transition, keeping this.particles.array in sync with the pool
+    function removeExitedParticles() {
+        const exiting = _this._exiting
+        if (exiting.length === 0) return
+        _this._exiting = []
+        _this._exited = []
+
+        const pool = _this.particles.pool
+        const removed = new Uint8Array(pool.count)
+        exiting.forEach(i => removed[i] = 1)
+        pool.remove(removed)
+
+        const array = _this.particles.array
+        let count = 0
+        array.forEach((particle, i) => {
+            if (removed[i]) return
+            particle.index = count
+            array[count++] = particle
+        })
+        array.length = count
+    }
+
+    // SHARED FRAME LOOP
+    //-----------------------------------------------
+
+    //requests a frame from the platform, or a frame shared with layers so the canvas is drawn once per frame
+    function requestFrame(callback) {
+        const compositeFrame = _this._compositeFrame
+        if (_this.layers.length === 0 && compositeFrame.id === null) return _this.platform.requestFrame(callback)
+
+        const request = { callback: callback }
+        compositeFrame.requests.add(request)
+        if (compositeFrame.id === null) compositeFrame.id = _this.platform.requestFrame(drawCompositeFrame)
+        return request
+    }
+
+    function cancelFrame(id) {
+        const compositeFrame = _this._compositeFrame
+        if (!compositeFrame.requests.delete(id)) return _this.platform.cancelFrame(id)
+
+        if (compositeFrame.requests.size === 0 && compositeFrame.id !== null) {
+            _this.platform.cancelFrame(compositeFrame.id)
+            compositeFrame.id = null
+        }
+    }
+
+    //runs every callback waiting for the shared frame, then draws all layers once
+    function drawCompositeFrame(timestamp) {
+        const compositeFrame = _this._compositeFrame
+        const requests = Array.from(compositeFrame.requests)
+        compositeFrame.id = null
+        compositeFrame.requests.clear()
+
+        compositeFrame.drawing = true
+        try {
+            requests.forEach(request => request.callback(timestamp))
+        } finally {
+            compositeFrame.drawing = false
+        }
+        drawLayers()
+    }
+
+    //clears the canvas and draws this instance's particles and each layer's in z-order
+    function drawLayers() {
+        const renderer = _this.canvas.activeRenderer
+        const base = { z: 0, transform: null, particleImage: _this }
+        // sort is stable so layers with the same z keep the order they were added in
+        const layers = [base, ..._this.layers].sort((a, b) => a.z - b.z)
+
+        renderer.clear()
+        layers.forEach(({ transform, particleImage }) => {
+            const matrix = transform !== null ? getLayerMatrix(transform) : null
+            renderer.render(particleImage.particles.pool, matrix, particleImage.particles)
+        })
+    }
+
+    //layers share the canvas, so they take its layout and pixel ratio, ex: { width, height }
+    function resizeLayers(canvasLayout) {
+        _this.layers.forEach(({ particleImage }) => {
+            particleImage.canvas.pixelRatio = _this.canvas.pixelRatio
+            particleImage.configure({ canvas: canvasLayout })
+        })
+    }
+
+    /**
+     * Gets a layer transform as a matrix for context.setTransform
+     * @returns {Array} [a, b, c, d, e, f]
+     */
+    function getLayerMatrix(transform) {
+        const { x = 0, y = 0, scale = 1, rotation = 0, origin = null } = transform
+        const originX = origin ? origin.x : _this.canvas.width / 2
+        const originY = origin ? origin.y : _this.canvas.height / 2
+        const a = scale * Math.cos(rotation),
+            b = scale * Math.sin(rotation),
+            c = -b,
+            d = a
+
+        // scale and rotate around the origin, then offset
+        return [a, b, c, d, originX + x - (a * originX + c * originY), originY + y - (b * originX + d * originY)]
+    }
+
+    function scheduleNextInSequence() {
+        const sequence = _this.sequence
+        clearTimeout(sequence.timer)
+        if (!sequence.loop && sequence.index >= sequence.sources.length - 1) {
+            sequence.playing = false
+            return
+        }
+        sequence.timer = setTimeout(() => _this.next().catch(() => { }), sequence.interval)
+    }
+
+    // PARTICLE STORAGE
+    //-----------------------------------------------
+
+    /**
+     * Stores particle state in typed arrays indexed by particle. Points and numeric properties take one float
+     * per particle and colors take three (r, g, b, 0 - 255), so frames update without allocating objects.
+     * Properties other than fill, opacity and radius are kept in plain objects per particle.
+     */
+    function createParticlePool() {
+        const floatFields = [
+            'x', 'y', 'fromX', 'fromY', 'toX', 'toY', 'spawnX', 'spawnY',
+            'offsetX', 'offsetY', 'velocityX', 'velocityY',
+            'radius', 'fromRadius', 'toRadius', 'opacity', 'fromOpacity', 'toOpacity', 'randFloat',
+            'gravity' // 1 when the particle speeds up along its path, for the 'fall' enter and exit modes
+        ]
+        const colorFields = ['color', 'fromColor', 'toColor']
+        const extrasFields = ['extras', 'fromExtras', 'toExtras', 'spawnProperties']
+        const roundValue = value => Math.round(value * 1000) / 1000
+
+        // names used by getPoint / setPoint and getProperties / setProperties
+        const pointFields = {
+            point: ['x', 'y'],
+            from: ['fromX', 'fromY'],
+            to: ['toX', 'toY'],
+            spawn: ['spawnX', 'spawnY'],
+            offset: ['offsetX', 'offsetY'],
+            velocity: ['velocityX', 'velocityY']
+        }
+        const propertyFields = {
+            current: { radius: 'radius', opacity: 'opacity', color: 'color', extras: 'extras' },
+            from: { radius: 'fromRadius', opacity: 'fromOpacity', color: 'fromColor', extras: 'fromExtras' },
+            to: { radius: 'toRadius', opacity: 'toOpacity', color: 'toColor', extras: 'toExtras' }
+        }
+
+        // reused for move and property functions that are not built into the fast path
+        const moveSettings = {
+            fromPoint: { x: 0, y: 0 },
+            toPoint: { x: 0, y: 0 },
+            betweenPoint: { x: 0, y: 0 },
+            spawnPoint: { x: 0, y: 0 },
+            completion: 0,
+            randFloat: 0,
+            index: 0,
+            canvas: _this.canvas
+        }
+        const propertySettings = {
+            fromProperties: {},
+            toProperties: {},
+            betweenProperties: {},
+            completion: 0,
+            randFloat: 0,
+            index: 0
+        }
+
+        const pool = {
+            count: 0,
+            capacity: 0,
+            extras: [],
+            fromExtras: [],
+            toExtras: [],
+            spawnProperties: [] // settings properties when each particle was added, see Particle.getSpawnProperties()
+        }
+        floatFields.forEach(field => pool[field] = new Float32Array(0))
+        colorFields.forEach(field => pool[field] = new Float32Array(0))
+
+        //copies the state of every particle into arrays that can be saved as JSON
+        pool.serialize = function () {
+            let data = { count: this.count }
+            floatFields.forEach(field => data[field] = Array.from(this[field].subarray(0, this.count), roundValue))
+            colorFields.forEach(field => data[field] = Array.from(this[field].subarray(0, this.count * 3), roundValue))
+            extrasFields.forEach(field => {
+                data[field] = this[field].slice(0, this.count).map(extras => extras ? toSerializable(extras) : null)
+            })
+            return data
+        }
+
+        //replaces every particle with the state from serialize()
+        pool.deserialize = function (data) {
+            this.grow(data.count)
+            this.count = data.count
+            floatFields.forEach(field => {
+                if (data[field]) this[field].set(data[field])
+            })
+            colorFields.forEach(field => {
+                if (data[field]) this[field].set(data[field])
+            })
+            extrasFields.forEach(field => {
+                this[field].length = this.count
+                for (let i = 0; i < this.count; i++) this[field][i] = data[field] && data[field][i] ? data[field][i] : undefined
+            })
+        }
+
+        //removes the particles flagged in removed (indexed by particle), the rest keep their order
+        pool.remove = function (removed) {
+            let count = 0
+            for (let i = 0; i < this.count; i++) {
+                if (removed[i]) continue
+                if (i !== count) {
+                    floatFields.forEach(field => this[field][count] = this[field][i])
+                    colorFields.forEach(field => this[field].copyWithin(count * 3, i * 3, i * 3 + 3))
+                    extrasFields.forEach(field => this[field][count] = this[field][i])
+                }
+                count++
+            }
+            extrasFields.forEach(field => this[field].length = count)
+            this.count = count
+        }
+
+        pool.grow = function (capacity) {
+            if (capacity <= this.capacity) return
+            capacity = Math.max(capacity, this.capacity * 2)
+
+            const resize = (field, size) => {
+                const values = new Float32Array(size)
+                values.set(this[field])
+                this[field] = values
+            }
+            floatFields.forEach(field => resize(field, capacity))
+            colorFields.forEach(field => resize(field, capacity * 3))
+            this.capacity = capacity
+        }
+
+        /**
+         * Adds a particle at the point that fades in from there
+         * @returns {Number} index of the new particle
+         */
+        pool.add = function (point) {
+            this.grow(this.count + 1)
+            const i = this.count++
+
+            Object.keys(pointFields).forEach(name => this.setPoint(name, i, point))
+            this.setPoint('offset', i, { x: 0, y: 0 })
+            this.setPoint('velocity', i, { x: 0, y: 0 })
+            this.extras[i] = this.fromExtras[i] = this.toExtras[i] = undefined
+            this.spawnProperties[i] = { ..._this.particles.properties }
+            Object.keys(propertyFields).forEach(name => this.setProperties(name, i, _this.particles.properties))
+            this.randFloat[i] = getRandomFloat(-1, 1)
+            this.gravity[i] = 0
+            this.prepareFadeIn(i, point)
+            return i
+        }
+
+        pool.getPoint = function (name, i, target = {}) {
+            const [fieldX, fieldY] = pointFields[name]
+            target.x = this[fieldX][i]
+            target.y = this[fieldY][i]
+            return target
+        }
+
+        //sets x and / or y
+        pool.setPoint = function (name, i, point) {
+            const [fieldX, fieldY] = pointFields[name]
+            if (typeof point.x === 'number') this[fieldX][i] = point.x
+            if (typeof point.y === 'number') this[fieldY][i] = point.y
+        }
+
+        pool.getProperties = function (name, i, target = {}) {
+            const fields = propertyFields[name]
+            const color = this[fields.color]
+            target.fill = rgbToHex(
+                Math.round(color[i * 3]),
+                Math.round(color[i * 3 + 1]),
+                Math.round(color[i * 3 + 2])
+            )
+            target.opacity = this[fields.opacity][i]
+            target.radius = this[fields.radius][i]
+            if (this[fields.extras][i]) Object.assign(target, this[fields.extras][i])
+            return target
+        }
+
+        //sets only the properties given
+        pool.setProperties = function (name, i, properties) {
+            const fields = propertyFields[name]
+            Object.keys(properties).forEach(prop => {
+                const value = properties[prop]
+                if (prop === 'fill') {
+                    const { r, g, b } = getRGBColor(value)
+                    this[fields.color][i * 3] = r
+                    this[fields.color][i * 3 + 1] = g
+                    this[fields.color][i * 3 + 2] = b
+                } else if (prop === 'opacity' || prop === 'radius') {
+                    this[fields[prop]][i] = value
+                } else {
+                    if (!this[fields.extras][i]) this[fields.extras][i] = {}
+                    this[fields.extras][i][prop] = value
+                }
+            })
+        }
+
+        //object whose x and y read and write the point, ex: particle.point.x = 5
+        pool.getPointView = function (name, i) {
+            const [fieldX, fieldY] = pointFields[name]
+            return {
+                get x() { return pool[fieldX][i] },
+                set x(x) { pool[fieldX][i] = x },
+                get y() { return pool[fieldY][i] },
+                set y(y) { pool[fieldY][i] = y }
+            }
+        }
+
+        //object whose properties read and write the pool, ex: particle.properties.shape = 'star'
+        pool.getPropertiesView = function (name, i) {
+            const getOwnProperty = prop => {
+                const properties = pool.getProperties(name, i)
+                return Object.prototype.hasOwnProperty.call(properties, prop) ? { value: properties[prop] } : null
+            }
+            return new Proxy({}, {
+                get: (target, prop) => pool.getProperties(name, i)[prop],
+                set: (target, prop, value) => {
+                    pool.setProperties(name, i, { [prop]: value })
+                    return true
+                },
+                has: (target, prop) => getOwnProperty(prop) !== null,
+                ownKeys: () => Object.keys(pool.getProperties(name, i)),
+                // lets the view be spread or stringified like a plain object
+                getOwnPropertyDescriptor: (target, prop) => {
+                    const property = getOwnProperty(prop)
+                    return property && { value: property.value, writable: true, enumerable: true, configurable: true }
+                }
+            })
+        }
+
+        //sets the transition to start from the current point and properties
+        pool.setFromCurrent = function (i) {
+            this.fromX[i] = this.x[i]
+            this.fromY[i] = this.y[i]
+            this.fromRadius[i] = this.radius[i]
+            this.fromOpacity[i] = this.opacity[i]
+            this.fromColor[i * 3] = this.color[i * 3]
+            this.fromColor[i * 3 + 1] = this.color[i * 3 + 1]
+            this.fromColor[i * 3 + 2] = this.color[i * 3 + 2]
+            this.fromExtras[i] = this.extras[i] ? { ...this.extras[i] } : undefined
+        }
+
+        pool.updateTransitionData = function (i, transitionData = {}) {
+            const { fromPoint, fromProperties, toPoint, toProperties } = transitionData
+            if (fromPoint) this.setPoint('from', i, fromPoint)
+            if (fromProperties) this.setProperties('from', i, fromProperties)
+            if (toPoint) this.setPoint('to', i, toPoint)
+            if (toProperties) this.setProperties('to', i, toProperties)
+        }
+
+        pool.prepareFadeOut = function (i, toPoint = null) {
+            this.updateTransitionData(i, {
+                toPoint: isPointObject(toPoint) ? toPoint : _this.getRandomPoint(),
+                toProperties: { opacity: 0, radius: 0 }
+            })
+        }
+
+        pool.prepareFadeIn = function (i, fromPoint = null) {
+            this.updateTransitionData(i, {
+                fromPoint: isPointObject(fromPoint) ? fromPoint : _this.getRandomPoint(),
+                fromProperties: { opacity: 0, radius: 0 }
+            })
+        }
+
+        /**
+         * Sets the point and properties of the particle to their position in the transition.
+         * 'linear' move and property functions are applied here directly, others are looked up and called.
+         */
+        pool.setToFramePosition = function (
+            i,
+            completion,
+            moveFunction = _this.animation.moveFunction,
+            propertyFunction = _this.animation.propertyFunction
+        ) {
+            const randFloat = this.randFloat[i]
+            const moveCompletion = this.gravity[i] === 1 ? completion * completion : completion
+            const betweenX = this.fromX[i] + (this.toX[i] - this.fromX[i]) * moveCompletion
+            const betweenY = this.fromY[i] + (this.toY[i] - this.fromY[i]) * moveCompletion
+
+            if (moveFunction === 'linear') {
+                this.x[i] = betweenX
+                this.y[i] = betweenY
+            } else {
+                this.getPoint('from', i, moveSettings.fromPoint)
+                this.getPoint('to', i, moveSettings.toPoint)
+                this.getPoint('spawn', i, moveSettings.spawnPoint)
+                moveSettings.betweenPoint.x = betweenX
+                moveSettings.betweenPoint.y = betweenY
+                moveSettings.completion = completion
+                moveSettings.randFloat = randFloat
+                moveSettings.index = i
+                this.setPoint('point', i, ParticleImage.getMoveFunction(moveFunction)(moveSettings))
+            }
+
+            if (propertyFunction === 'linear') {
+                this.radius[i] = this.fromRadius[i] + (this.toRadius[i] - this.fromRadius[i]) * completion
+                this.opacity[i] = this.fromOpacity[i] + (this.toOpacity[i] - this.fromOpacity[i]) * completion
+                for (let c = i * 3; c < i * 3 + 3; c++) {
+                    this.color[c] = this.fromColor[c] + (this.toColor[c] - this.fromColor[c]) * completion
+                }
+                if (this.toExtras[i] || this.fromExtras[i]) {
+                    const fromExtras = this.fromExtras[i] || {}
+                    const toExtras = this.toExtras[i] || {}
+                    if (!this.extras[i]) this.extras[i] = {}
+                    Object.keys(toExtras).forEach(prop => {
+                        this.extras[i][prop] = getTransitionValue(fromExtras[prop], toExtras[prop], completion)
+                    })
+                }
+            } else {
+                const { fromProperties, toProperties, betweenProperties } = propertySettings
+                // the objects are shared, so clear properties another particle set
+                const sharedProperties = [fromProperties, toProperties, betweenProperties]
+                sharedProperties.forEach(properties => Object.keys(properties).forEach(prop => delete properties[prop]))
+                this.getProperties('from', i, fromProperties)
+                this.getProperties('to', i, toProperties)
+                Object.keys(toProperties).forEach(prop => {
+                    betweenProperties[prop] = getTransitionValue(fromProperties[prop], toProperties[prop], completion)
+                })
+                propertySettings.completion = completion
+                propertySettings.randFloat = randFloat
+                propertySettings.index = i
+                this.setProperties('current', i, ParticleImage.getPropertyFunction(propertyFunction)(propertySettings))
+            }
+        }
+
+        return pool
+    }
+
+    // ENCODERS
+    //-----------------------------------------------
+
+    /**
+     * Encodes animated GIFs with a fixed palette: index 0 is transparent, 1 - 252 are 6 red x 7 green x 6 blue levels
+     * @param delay centiseconds between frames
+     */
+    function createGIFEncoder(width, height, delay) {
+        let bytes = new Uint8Array(1024),
+            length = 0
+
+        const writeByte = value => {
+            if (length === bytes.length) {
+                const grown = new Uint8Array(bytes.length * 2)
+                grown.set(bytes)
+                bytes = grown
+            }
+            bytes[length++] = value
+        }
+        const writeShort = value => {
+            writeByte(value & 255)
+            writeByte((value >> 8) & 255)
+        }
+        const writeString = str => {
+            for (let i = 0; i < str.length; i++) writeByte(str.charCodeAt(i))
+        }
+
+        writeString('GIF89a')
+        writeShort(width)
+        writeShort(height)
+        writeByte(0xF7) // global color table of 256 colors
+        writeByte(0)
+        writeByte(0)
+        for (let i = 0; i < 256; i++) {
+            const color = i - 1
+            const inPalette = i > 0 && i <= 252
+            writeByte(inPalette ? Math.round(Math.floor(color / 42) * 255 / 5) : 0)
+            writeByte(inPalette ? Math.round(Math.floor(color / 6) % 7 * 255 / 6) : 0)
+            writeByte(inPalette ? Math.round(color % 6 * 255 / 5) : 0)
+        }
+
+        // loop forever
+        writeByte(0x21)
+        writeByte(0xFF)
+        writeByte(11)
+        writeString('NETSCAPE2.0')
+        writeByte(3)
+        writeByte(1)
+        writeShort(0)
+        writeByte(0)
+
+        return {
+            addFrame: function (imageData) {
+                const { data } = imageData
+                const indexes = new Uint8Array(width * height)
+                for (let i = 0; i < indexes.length; i++) {
+                    const p = i * 4
+                    indexes[i] = data[p + 3] < 128
+                        ? 0
+                        : 1 + Math.round(data[p] / 255 * 5) * 42 + Math.round(data[p + 1] / 255 * 6) * 6 + Math.round(data[p + 2] / 255 * 5)
+                }
+
+                // graphic control: clear to transparent before the next frame, index 0 is transparent
+                writeByte(0x21)
+                writeByte(0xF9)
+                writeByte(4)
+                writeByte((2 << 2) | 1)
+                writeShort(delay)
+                writeByte(0)
+                writeByte(0)
+
+                // image descriptor
+                writeByte(0x2C)
+                writeShort(0)
+                writeShort(0)
+                writeShort(width)
+                writeShort(height)
+                writeByte(0)
+
+                const minCodeSize = 8
+                const compressed = encodeLZW(indexes, minCodeSize)
+                writeByte(minCodeSize)
+                for (let i = 0; i < compressed.length; i += 255) {
+                    const blockLength = Math.min(255, compressed.length - i)
+                    writeByte(blockLength)
+                    for (let j = 0; j < blockLength; j++) writeByte(compressed[i + j])
+                }
+                writeByte(0)
+            },
+            finish: function () {
+                writeByte(0x3B)
+                return bytes.slice(0, length)
+            }
+        }
+    }
+
+    //variable length code LZW compression used by GIF
+    function encodeLZW(indexes, minCodeSize) {
+        const clearCode = 1 << minCodeSize,
+            endCode = clearCode + 1
+
+        let output = [],
+            codeSize = minCodeSize + 1,
+            nextCode = endCode + 1,
+            dictionary = new Map(),
+            bitBuffer = 0,
+            bitCount = 0
+
+        const writeCode = code => {
+            bitBuffer |= code << bitCount
+            bitCount += codeSize
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 255)
+                bitBuffer >>>= 8
+                bitCount -= 8
+            }
+        }
+
+        writeCode(clearCode)
+        let prefix = indexes[0]
+        for (let i = 1; i < indexes.length; i++) {
+            const index = indexes[i]
+            const key = (prefix << 8) | index
+            const code = dictionary.get(key)
+            if (code !== undefined) {
+                prefix = code
+                continue
+            }
+
+            writeCode(prefix)
+            if (nextCode === 4096) {
+                writeCode(clearCode)
+                dictionary.clear()
+                codeSize = minCodeSize + 1
+                nextCode = endCode + 1
+            } else {
+                // grow the code size once the next code doesn't fit, in step with the decoder
+                if (nextCode >= (1 << codeSize)) codeSize++
+                dictionary.set(key, nextCode++)
+            }
+            prefix = index
+        }
+        writeCode(prefix)
+        writeCode(endCode)
+        if (bitCount > 0) output.push(bitBuffer & 255)
+
+        return output
+    }
+
+    /**
+     * Creates an uncompressed zip
+     * @param {Array} files [{ name: String, data: Uint8Array }]
+     * @returns {Uint8Array}
+     */
+    function createZip(files) {
+        let chunks = [],
+            centralDirectory = [],
+            offset = 0
+
+        const getHeader = size => {
+            const header = new Uint8Array(size)
+            return { bytes: header, view: new DataView(header.buffer) }
+        }
+
+        // modification time and date in MS-DOS format, local time with 2 second precision
+        const date = new Date()
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+
+        files.forEach(file => {
+            const name = Array.from(file.name, char => char.charCodeAt(0))
+            const checksum = getCRC32(file.data)
+
+            const local = getHeader(30 + name.length)
+            local.view.setUint32(0, 0x04034B50, true)
+            local.view.setUint16(4, 20, true) // version needed
+            local.view.setUint16(10, dosTime, true)
+            local.view.setUint16(12, dosDate, true)
+            local.view.setUint32(14, checksum, true)
+            local.view.setUint32(18, file.data.length, true)
+            local.view.setUint32(22, file.data.length, true)
+            local.view.setUint16(26, name.length, true)
+            local.bytes.set(name, 30)
+
+            const central = getHeader(46 + name.length)
+            central.view.setUint32(0, 0x02014B50, true)
+            central.view.setUint16(4, 20, true) // version made by
+            central.view.setUint16(6, 20, true) // version needed
+            central.view.setUint16(12, dosTime, true)
+            central.view.setUint16(14, dosDate, true)
+            central.view.setUint32(16, checksum, true)
+            central.view.setUint32(20, file.data.length, true)
+            central.view.setUint32(24, file.data.length, true)
+            central.view.setUint16(28, name.length, true)
+            central.view.setUint32(42, offset, true)
+            central.bytes.set(name, 46)
+
+            chunks.push(local.bytes, file.data)
+            centralDirectory.push(central.bytes)
+            offset += local.bytes.length + file.data.length
+        })
+
+        const centralSize = centralDirectory.reduce((size, bytes) => size + bytes.length, 0)
+        const end = getHeader(22)
+        end.view.setUint32(0, 0x06054B50, true)
+        end.view.setUint16(8, files.length, true)
+        end.view.setUint16(10, files.length, true)
+        end.view.setUint32(12, centralSize, true)
+        end.view.setUint32(16, offset, true)
+
+        const all = chunks.concat(centralDirectory, [end.bytes])
+        const zip = new Uint8Array(all.reduce((size, bytes) => size + bytes.length, 0))
+        let position = 0
+        all.forEach(bytes => {
+            zip.set(bytes, position)
+            position += bytes.length
+        })
+        return zip
+    }
+
+    function getCRC32(bytes) {
+        if (!getCRC32.table) {
+            getCRC32.table = new Uint32Array(256)
+            for (let i = 0; i < 256; i++) {
+                let value = i
+                for (let j = 0; j < 8; j++) value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1
+                getCRC32.table[i] = value >>> 0
+            }
+        }
+        let crc = 0xFFFFFFFF
+        for (let i = 0; i < bytes.length; i++) crc = getCRC32.table[(crc ^ bytes[i]) & 255] ^ (crc >>> 8)
+        return (crc ^ 0xFFFFFFFF) >>> 0
+    }
+
+    /**
+     * Gets the canvas as a PNG: a Blob in the browser, a Buffer with node-canvas, otherwise a data url
+     * @returns {Promise}
+     */
+    function getCanvasPNG(canvas) {
+        if (typeof canvas.toBlob === 'function') return new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+        if (typeof canvas.toBuffer === 'function') return Promise.resolve(canvas.toBuffer('image/png'))
+        return Promise.resolve(canvas.toDataURL('image/png'))
+    }
+
+    //gets the bytes of a Blob, Buffer or data url
+    function getBytes(data) {
+        if (typeof Blob !== 'undefined' && data instanceof Blob) return data.arrayBuffer().then(buffer => new Uint8Array(buffer))
+        if (typeof data === 'string') {
+            const binary = atob(data.substring(data.indexOf(',') + 1))
+            return Promise.resolve(Uint8Array.from(binary, char => char.charCodeAt(0)))
+        }
+        return Promise.resolve(new Uint8Array(data))
+    }
+
+    // RENDERERS
+    //-----------------------------------------------
+
+    /**
+     * Renderers draw all particles each frame. Custom renderers are objects with the same shape:
+     * { type: String, context, clear: () => void, render: (pool) => void } where pool is this.particles.pool,
+     * and optionally destroy: () => void to release what the renderer created, called by ParticleImage.destroy()
+     * @param {String|Function} renderer '2d', 'webgl' or a function that gets this.canvas and returns a renderer
+     */
+    function createRenderer(renderer) {
+        if (typeof renderer === 'function') return renderer(_this.canvas)
+
+        const renderers = {
+            '2d': create2DRenderer,
+            webgl: () => createWebGLRenderer() || create2DRenderer()
+        }
+
+        if ('function' !== typeof renderers[renderer]) throw new Error(`couldn't find renderer: ${renderer}`)
+        return renderers[renderer]()
+    }
+
+    function create2DRenderer() {
+        const canvas = _this.canvas
+        const context = canvas.element.getContext('2d')
+
+        return {
+            type: '2d',
+            context: context,
+            clear: () => {
+                // draw in canvas pixels whatever the size of the backing store
+                const pixelRatio = canvas.element.width / canvas.width
+                context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
+                context.clearRect(0, 0, canvas.width, canvas.height)
+            },
+            // matrix moves layers, particles is the settings of the instance the pool belongs to
+            render: (pool, matrix = null, particles = _this.particles) => {
+                const { x, y, offsetX, offsetY, radius, opacity, color, extras } = pool
+                const { draw } = particles
+                const pixelRatio = canvas.element.width / canvas.width
+                const [a, b, c, d, e, f] = (matrix || [1, 0, 0, 1, 0, 0]).map(value => value * pixelRatio)
+                context.setTransform(a, b, c, d, e, f)
+                let lastColor = -1,
+                    lastOpacity = -1,
+                    lastBlend = 'source-over',
+                    hasGlow = false
+
+                for (let i = 0; i < pool.count; i++) {
+                    if (radius[i] <= 0 || opacity[i] <= 0) continue
+
+                    // only change context state when it differs from the previous particle
+                    const colorValue = (Math.round(color[i * 3]) << 16) | (Math.round(color[i * 3 + 1]) << 8) | Math.round(color[i * 3 + 2])
+                    if (colorValue !== lastColor) {
+                        context.fillStyle = getHexColor(colorValue)
+                        lastColor = colorValue
+                    }
+                    if (opacity[i] !== lastOpacity) {
+                        context.globalAlpha = opacity[i]
+                        lastOpacity = opacity[i]
+                    }
+
+                    if (typeof draw === 'function') {
+                        context.save()
+                        draw(context, particles.array[i])
+                        context.restore()
+                        continue
+                    }
+
+                    // particles without extras still reset the blend and glow of the particle before them
+                    const properties = extras[i]
+                    const blend = properties !== undefined && properties.blend || 'source-over'
+                    const glow = properties !== undefined && properties.glow > 0 ? properties.glow : 0
+                    if (blend !== lastBlend) {
+                        context.globalCompositeOperation = blend
+                        lastBlend = blend
+                    }
+                    if (glow > 0 || hasGlow) {
+                        hasGlow = glow > 0
+                        context.shadowBlur = glow * pixelRatio
+                        context.shadowColor = getHexColor(colorValue)
+                    }
+
+                    if (properties === undefined) {
+                        context.beginPath()
+                        context.arc(x[i] + offsetX[i], y[i] + offsetY[i], radius[i], 0, Math.PI * 2, false)
+                        context.fill()
+                        continue
+                    }
+                    drawParticleShape(context, x[i] + offsetX[i], y[i] + offsetY[i], radius[i], getHexColor(colorValue), properties)
+                    context.setTransform(a, b, c, d, e, f)
+                }
+                context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0)
+                context.globalAlpha = 1
+                context.globalCompositeOperation = 'source-over'
+                context.shadowBlur = 0
+            }
+        }
+    }
+
+    /**
+     * Draws a particle's shape centered on x, y. Fill and opacity are expected to be set on the context already,
+     * the context is left translated to x, y and rotated for the caller to reset.
+     * @param {Object} properties { shape, rotation, stroke, strokeWidth }
+     */
+    function drawParticleShape(context, x, y, radius, fill, properties) {
+        const { shape = 'circle', rotation = 0, stroke = null, strokeWidth = 1 } = properties
+
+        context.translate(x, y)
+        if (rotation) context.rotate(rotation)
+
+        if (shape !== null && typeof shape === 'object' && typeof shape.text === 'string') {
+            context.font = `${radius * 2}px ${shape.font || 'sans-serif'}`
+            context.textAlign = 'center'
+            context.textBaseline = 'middle'
+            context.fillText(shape.text, 0, 0)
+            if (stroke !== null) {
+                context.strokeStyle = stroke
+                context.lineWidth = strokeWidth
+                context.strokeText(shape.text, 0, 0)
+            }
+        } else if (shape !== null && typeof shape === 'object') {
+            const sprite = shape.image || shape
+            if (sprite.width > 0 && sprite.height > 0) {
+                const image = shape.tint === false ? sprite : getTintedSprite(sprite, fill)
+                // keep the sprite's aspect ratio inside the particle's diameter
+                const scale = radius * 2 / Math.max(sprite.width, sprite.height)
+                const width = sprite.width * scale,
+                    height = sprite.height * scale
+                context.drawImage(image, -width / 2, -height / 2, width, height)
+            }
+        } else {
+            context.beginPath()
+            traceShapePath(context, shape, radius)
+            context.fill()
+            if (stroke !== null) {
+                context.strokeStyle = stroke
+                context.lineWidth = strokeWidth
+                context.stroke()
+            }
+        }
+    }
+
+    //true for named shapes, { text } glyphs and sprites
+    function isParticleShape(shape) {
+        if (shape !== null && typeof shape === 'object') return true
+        return ['circle', 'square', 'triangle', 'hexagon', 'star', 'rounded-rect'].includes(shape)
+    }
+
+    //adds the path of a named shape centered on 0, 0 that fits inside the radius
+    function traceShapePath(context, shape, radius) {
+        const tracePolygon = (points, innerRadius = radius) => {
+            for (let p = 0; p < points; p++) {
+                const angle = p / points * Math.PI * 2 - Math.PI / 2
+                const pointRadius = p % 2 ? innerRadius : radius
+                context.lineTo(Math.cos(angle) * pointRadius, Math.sin(angle) * pointRadius)
+            }
+            context.closePath()
+        }
+
+        if (shape === 'circle') context.arc(0, 0, radius, 0, Math.PI * 2, false)
+        else if (shape === 'square') context.rect(-radius, -radius, radius * 2, radius * 2)
+        else if (shape === 'triangle') tracePolygon(3)
+        else if (shape === 'hexagon') tracePolygon(6)
+        else if (shape === 'star') tracePolygon(10, radius * .45)
+        else if (shape === 'rounded-rect') {
+            const corner = radius * .35
+            context.moveTo(-radius + corner, -radius)
+            context.arcTo(radius, -radius, radius, radius, corner)
+            context.arcTo(radius, radius, -radius, radius, corner)
+            context.arcTo(-radius, radius, -radius, -radius, corner)
+            context.arcTo(-radius, -radius, radius, -radius, corner)
+            context.closePath()
+        } else throw new Error(`couldn't find particle shape: ${shape}`)
+    }
+
+    //copy of the sprite filled with the color where it isn't transparent
+    function getTintedSprite(sprite, fill) {
+        if (!getTintedSprite.cache) getTintedSprite.cache = new WeakMap()
+        let tints = getTintedSprite.cache.get(sprite)
+        // image colors can make thousands of tints, start again rather than keep them all
+        if (!tints || tints.size > 256) {
+            tints = new Map()
+            getTintedSprite.cache.set(sprite, tints)
+        }
+        if (!tints.has(fill)) {
+            const canvas = _this.platform.createCanvas(sprite.width, sprite.height)
+            const context = canvas.getContext('2d')
+            context.drawImage(sprite, 0, 0, sprite.width, sprite.height)
+            context.globalCompositeOperation = 'source-in'
+            context.fillStyle = fill
+            context.fillRect(0, 0, sprite.width, sprite.height)
+            tints.set(fill, canvas)
+        }
+        return tints.get(fill)
+    }
+
+    /**
+     * Draws every particle in one call as round points. Each particle takes 7 floats in a shared buffer:
+     * x, y, radius, r, g, b, a
+     * @returns {Object|null} null if WebGL is unavailable
+     */
+    function createWebGLRenderer() {
+        const canvas = _this.canvas
+        const gl = canvas.element.getContext('webgl', { premultipliedAlpha: true, antialias: false })
+        if (!gl) return null
+
+        const vertexSource = `
+            attribute vec2 a_position;
+            attribute float a_radius;
+            attribute vec4 a_color;
+            uniform vec2 u_resolution;
+            uniform float u_pixelRatio;
+            varying vec4 v_color;
+            void main() {
+                vec2 clipSpace = a_position / u_resolution * 2.0 - 1.0;
+                gl_Position = vec4(clipSpace.x, -clipSpace.y, 0.0, 1.0);
+                gl_PointSize = a_radius * 2.0 * u_pixelRatio;
+                v_color = a_color;
+            }`
+
+        const fragmentSource = `
+            precision mediump float;
+            varying vec4 v_color;
+            void main() {
+                if (length(gl_PointCoord - 0.5) > 0.5) discard;
+                gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);
+            }`
+
+        const compileShader = (type, source) => {
+            const shader = gl.createShader(type)
+            gl.shaderSource(shader, source)
+            gl.compileShader(shader)
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader))
+            return shader
+        }
+
+        const program = gl.createProgram()
+        const shaders = [compileShader(gl.VERTEX_SHADER, vertexSource), compileShader(gl.FRAGMENT_SHADER, fragmentSource)]
+        shaders.forEach(shader => gl.attachShader(program, shader))
+        gl.linkProgram(program)
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program))
+        gl.useProgram(program)
+
+        const stride = 7
+        const buffer = gl.createBuffer()
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer)
+
+        const bindAttribute = (name, size, offset) => {
+            const location = gl.getAttribLocation(program, name)
+            gl.enableVertexAttribArray(location)
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4)
+        }
+        bindAttribute('a_position', 2, 0)
+        bindAttribute('a_radius', 1, 2)
+        bindAttribute('a_color', 4, 3)
+
+        const resolutionLocation = gl.getUniformLocation(program, 'u_resolution')
+        const pixelRatioLocation = gl.getUniformLocation(program, 'u_pixelRatio')
+
+        gl.enable(gl.BLEND)
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA)
+
+        let vertices = new Float32Array(0)
+
+        return {
+            type: 'webgl',
+            context: gl,
+            clear: () => {
+                gl.viewport(0, 0, canvas.element.width, canvas.element.height)
+                gl.clearColor(0, 0, 0, 0)
+                gl.clear(gl.COLOR_BUFFER_BIT)
+            },
+            // matrix moves layers, see getLayerMatrix()
+            render: (pool, matrix = null) => {
+                const { count, x, y, offsetX, offsetY, radius, opacity, color } = pool
+                if (count === 0) return
+                if (vertices.length < count * stride) vertices = new Float32Array(pool.capacity * stride)
+
+                const [a, b, c, d, e, f] = matrix || [1, 0, 0, 1, 0, 0]
+                const scale = Math.sqrt(a * a + b * b)
+                for (let i = 0; i < count; i++) {
+                    const index = i * stride
+                    const pointX = x[i] + offsetX[i],
+                        pointY = y[i] + offsetY[i]
+                    vertices[index] = a * pointX + c * pointY + e
+                    vertices[index + 1] = b * pointX + d * pointY + f
+                    vertices[index + 2] = Math.max(0, radius[i] * scale)
+                    vertices[index + 3] = color[i * 3] / 255
+                    vertices[index + 4] = color[i * 3 + 1] / 255
+                    vertices[index + 5] = color[i * 3 + 2] / 255
+                    vertices[index + 6] = Math.min(1, Math.max(0, opacity[i]))
+                }
+
+                gl.uniform2f(resolutionLocation, canvas.width, canvas.height)
+                gl.uniform1f(pixelRatioLocation, canvas.element.width / canvas.width)
+                gl.bufferData(gl.ARRAY_BUFFER, vertices.subarray(0, count * stride), gl.DYNAMIC_DRAW)
+                gl.drawArrays(gl.POINTS, 0, count)
+            },
+            destroy: () => {
+                gl.deleteBuffer(buffer)
+                shaders.forEach(shader => {
+                    gl.detachShader(program, shader)
+                    gl.deleteShader(shader)
+                })
+                gl.deleteProgram(program)
+                vertices = new Float32Array(0)
+
+                // a canvas that was passed in may still be used, so only let go of the context of our own
+                const loseContext = canvas.ownsElement ? gl.getExtension('WEBGL_lose_context') : null
+                if (loseContext) loseContext.loseContext()
+            }
+        }
+    }
+
+    /**
+     * Returns a hex color string for a 0xRRGGBB number. Strings are cached so drawing doesn't allocate them each frame.
+     */
+    function getHexColor(value) {
+        if (!getHexColor.cache || getHexColor.cache.size > 4096) getHexColor.cache = new Map()
+        let hex = getHexColor.cache.get(value)
+        if (hex === undefined) {
+            hex = '#' + value.toString(16).padStart(6, '0')
+            getHexColor.cache.set(value, hex)
+        }
+        return hex
+    }
+
+    /**
+     * Returns { r, g, b } (0 - 255) for a css color. Non hex colors are resolved through a 2d context and cached.
+     */
+    function getRGBColor(color) {
+        if (/^#[0-9A-F]{6}$/i.test(color)) {
+            const value = parseInt(color.substring(1), 16)
+            return { r: value >> 16, g: (value >> 8) & 255, b: value & 255 }
+        }
+        if (!getRGBColor.cache) getRGBColor.cache = {}
+        if (!getRGBColor.cache[color]) {
+            const context = _this.platform.createCanvas(1, 1).getContext('2d')
+            context.fillStyle = '#000000'
+            context.fillStyle = color
+            const resolved = context.fillStyle
+            getRGBColor.cache[color] = /^#[0-9A-F]{6}$/i.test(resolved)
+                ? getRGBColor(resolved)
+                : (([r = 0, g = 0, b = 0]) => ({ r: +r, g: +g, b: +b }))(resolved.match(/[\d.]+/g) || [])
+        }
+        return getRGBColor.cache[color]
+    }
+
+    /**
+     * Gets the length of a transition including its delay and stagger
+     * @returns {Object} { usesDuration, length } length is in ms if usesDuration is true, otherwise in frames
+     */
+    function getTransitionLength(animation) {
+        const { frames, duration, delay, stagger } = animation
+        const usesDuration = typeof duration === 'number'
+        const staggerAmount = !stagger ? 0 : typeof stagger === 'number' ? stagger : stagger.amount || 0
+        const extraTime = delay + staggerAmount
+        return {
+            usesDuration: usesDuration,
+            length: usesDuration ? duration + extraTime : frames + Math.ceil(extraTime / (1000 / 60))
+        }
+    }
+
+    /**
+     * Gets the ms each particle waits before starting its transition
+     * @param {Number|Object} stagger number of ms (by index) or { mode, amount, from }
+     * @returns {Array<Number>} ms for each particle in this.particles.pool
+     */
+    function getStaggerOffsets(stagger) {
+        const pool = _this.particles.pool
+        const { mode = 'index', amount = 0, from = null } = typeof stagger === 'number' ? { amount: stagger } : stagger
+
+        let offsets = new Array(pool.count)
+        if (mode === 'index') {
+            for (let i = 0; i < pool.count; i++) offsets[i] = pool.count > 1 ? i / (pool.count - 1) * amount : 0
+        } else if (mode === 'distance') {
+            const origin = isPointObject(from) ? from : { x: _this.canvas.width / 2, y: _this.canvas.height / 2 }
+            let maxDistance = 0
+            for (let i = 0; i < pool.count; i++) {
+                offsets[i] = Math.hypot(pool.toX[i] - origin.x, pool.toY[i] - origin.y)
+                maxDistance = Math.max(maxDistance, offsets[i])
+            }
+            for (let i = 0; i < pool.count; i++) offsets[i] = maxDistance > 0 ? offsets[i] / maxDistance * amount : 0
+        } else if (mode === 'random') {
+            for (let i = 0; i < pool.count; i++) offsets[i] = (pool.randFloat[i] + 1) / 2 * amount
+        } else {
+            throw new Error(`couldn't find stagger mode: ${mode}`)
+        }
+        return offsets
+    }
+
+    //stops the running transition without stopping video sampling
+    function cancelTransition() {
+        if (_this._requestedFrame === null) return false
+        cancelFrame(_this._requestedFrame)
+        _this._requestedFrame = null
+
+        const transition = _this._transition
+        if (transition !== null) {
+            _this._transition = null
+            emit('cancel', { particles: _this.particles.array })
+            transition.resolve(false)
+        }
+        return true
+    }
+
+    function emit(eventName, data = {}) {
+        const listeners = _this._listeners[eventName]
+        if (!listeners) return
+        listeners.slice().forEach(callback => callback.call(_this, data))
+    }
+
+    /**
+     * Sets particles to an image, canvas or anything else that can be drawn with drawImage
+     */
+    function setParticlesToDrawable(drawable, useImageColor = true) {
+        const imageData = _this.getImageData(drawable)
+        _this.setParticles(_this.getParticleDataFromImage(imageData, useImageColor))
+        _this._resample = () => setParticlesToDrawable(drawable, useImageColor)
+        return _this.animate()
+    }
+
+    //size and position of the image on the canvas
+    function getImageLayout() {
+        return { ..._this.image.getContainedDimensions(), ..._this.getImageShift() }
+    }
+
+    //moves particle targets from where they were in the previous layout to the same place in the current one
+    function retargetParticles(previousLayout) {
+        const pool = _this.particles.pool
+        if (pool.count === 0) return null
+
+        const mapping = getLayoutMapping(previousLayout)
+        for (let i = 0; i < pool.count; i++) {
+            pool.setFromCurrent(i)
+            pool.toX[i] = mapping.x(pool.toX[i])
+            pool.toY[i] = mapping.y(pool.toY[i])
+        }
+        return _this.animate()
+    }
+
+    //gets functions that move x and y from where they were in a previous layout to the same place in the current one
+    function getLayoutMapping(previousLayout) {
+        const layout = getImageLayout()
+        const scaleX = previousLayout.width > 0 ? layout.width / previousLayout.width : 1
+        const scaleY = previousLayout.height > 0 ? layout.height / previousLayout.height : 1
+        return {
+            x: x => (x - previousLayout.shiftX) * scaleX + layout.shiftX,
+            y: y => (y - previousLayout.shiftY) * scaleY + layout.shiftY
+        }
+    }
+
+    function getImageData(image, width = null, height = null, alignH = 'center', alignV = 'center') {
+        // video elements report their display size as width / height
+        const sourceWidth = image.videoWidth || image.width
+        const sourceHeight = image.videoHeight || image.height
+
+        const canvas = _this.platform.createCanvas(
+            Math.round(typeof width === 'number' ? width : sourceWidth),
+            Math.round(typeof height === 'number' ? height : sourceHeight)
+        )
+        const context = canvas.getContext('2d')
+
+        const hRatio = canvas.width / sourceWidth
+        const vRatio = canvas.height / sourceHeight
+        const ratio = Math.min(hRatio, vRatio);
+
+        const freeWidth = canvas.width - sourceWidth * ratio
+        const freeHeight = canvas.height - sourceHeight * ratio
+        const shiftX = alignH === 'left' ? 0 : alignH === 'right' ? freeWidth : freeWidth / 2
+        const shiftY = alignV === 'top' ? 0 : alignV === 'bottom' ? freeHeight : freeHeight / 2
+
+        context.drawImage(
+            image,
+            0,
+            0,
+            sourceWidth,
+            sourceHeight,
+            shiftX,
+            shiftY,
+            sourceWidth * ratio,
+            sourceHeight * ratio
+        )
+        return context.getImageData(0, 0, canvas.width, canvas.height)
+    }
+
+    /**
+     * Picks the pixels of the image that particles are placed on using this.particles.sampling
+     * @returns {Array<PointObject>} integer pixel coordinates
+     */
+    function getSamplePoints(imageData) {
+        const { width, height, data } = imageData
+        const { sampling, density, alphaThreshold, luminanceThreshold, invert } = _this.particles
+
+        const getPixelLuminance = position => getLuminance(data[position], data[position + 1], data[position + 2])
+
+        const isIncluded = (x, y) => {
+            const position = (x + y * width) * 4
+            if (data[position + 3] <= alphaThreshold) return false
+            if (sampling !== 'luminance') return true
+            return invert ? getPixelLuminance(position) > luminanceThreshold : getPixelLuminance(position) < luminanceThreshold
+        }
+
+        const getGridPoints = () => {
+            let points = []
+            for (let x = 0; x < width; x += density) {
+                for (let y = 0; y < height; y += density) {
+                    if (isIncluded(x, y)) points.push({ x: x, y: y })
+                }
+            }
+            return points
+        }
+
+        const samplers = {
+            grid: getGridPoints,
+            luminance: getGridPoints,
+            // one point at a random position in each grid cell
+            jitter: function () {
+                let points = []
+                for (let cellX = 0; cellX < width; cellX += density) {
+                    for (let cellY = 0; cellY < height; cellY += density) {
+                        let x = Math.min(width - 1, Math.floor(cellX + random() * density)),
+                            y = Math.min(height - 1, Math.floor(cellY + random() * density))
+                        if (isIncluded(x, y)) points.push({ x: x, y: y })
+                    }
+                }
+                return points
+            },
+            // random points no closer than density to each other (Bridson's algorithm)
+            poisson: function () {
+                const minDistance = density,
+                    cellSize = minDistance / Math.SQRT2,
+                    cols = Math.ceil(width / cellSize),
+                    rows = Math.ceil(height / cellSize),
+                    grid = new Int32Array(cols * rows).fill(-1),
+                    maxAttempts = 30
+
+                let points = [],
+                    active = []
+
+                const isFarEnough = (x, y) => {
+                    const col = Math.floor(x / cellSize),
+                        row = Math.floor(y / cellSize)
+                    for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+                        for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+                            const index = grid[c + r * cols]
+                            if (index !== -1 && Math.hypot(points[index].x - x, points[index].y - y) < minDistance) return false
+                        }
+                    }
+                    return true
+                }
+
+                const addPoint = (x, y) => {
+                    grid[Math.floor(x / cellSize) + Math.floor(y / cellSize) * cols] = points.length
+                    active.push(points.length)
+                    points.push({ x: x, y: y })
+                }
+
+                // seed every separate shape by scanning for included pixels that no point covers yet
+                for (let seedX = 0; seedX < width; seedX += minDistance) {
+                    for (let seedY = 0; seedY < height; seedY += minDistance) {
+                        if (!isIncluded(seedX, seedY) || !isFarEnough(seedX, seedY)) continue
+                        addPoint(seedX, seedY)
+
+                        while (active.length) {
+                            const activeIndex = Math.floor(random() * active.length),
+                                point = points[active[activeIndex]]
+                            let found = false
+
+                            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                                const angle = random() * Math.PI * 2,
+                                    distance = minDistance * (1 + random()),
+                                    x = Math.floor(point.x + Math.cos(angle) * distance),
+                                    y = Math.floor(point.y + Math.sin(angle) * distance)
+
+                                if (x < 0 || y < 0 || x >= width || y >= height) continue
+                                if (!isIncluded(x, y) || !isFarEnough(x, y)) continue
+                                addPoint(x, y)
+                                found = true
+                                break
+                            }
+                            if (!found) active.splice(activeIndex, 1)
+                        }
+                    }
+                }
+                return points
+            },
+            // denser around edges found with a Sobel filter, sparse on flat areas
+            edge: function () {
+                const intensity = new Float32Array(width * height)
+                for (let i = 0; i < width * height; i++) {
+                    intensity[i] = getPixelLuminance(i * 4) * data[i * 4 + 3] / 255
+                }
+
+                const magnitude = new Float32Array(width * height)
+                let maxMagnitude = 0
+                for (let x = 1; x < width - 1; x++) {
+                    for (let y = 1; y < height - 1; y++) {
+                        const at = (dx, dy) => intensity[(x + dx) + (y + dy) * width]
+                        const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1)
+                        const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1)
+                        const value = Math.sqrt(gx * gx + gy * gy)
+                        magnitude[x + y * width] = value
+                        maxMagnitude = Math.max(maxMagnitude, value)
+                    }
+                }
+
+                const step = Math.max(1, density / 2)
+                let points = []
+                for (let cellX = 0; cellX < width; cellX += step) {
+                    for (let cellY = 0; cellY < height; cellY += step) {
+                        let x = Math.min(width - 1, Math.floor(cellX + random() * step)),
+                            y = Math.min(height - 1, Math.floor(cellY + random() * step))
+                        if (!isIncluded(x, y)) continue
+                        const weight = maxMagnitude > 0 ? magnitude[x + y * width] / maxMagnitude : 0
+                        if (random() < .1 + .9 * weight) points.push({ x: x, y: y })
+                    }
+                }
+                return points
+            }
+        }
+
+        const sampler = samplers[sampling]
+        if ('function' !== typeof sampler) throw new Error(`couldn't find sampling mode: ${sampling}`)
+        return sampler()
+    }
+
+    /**
+     * Gets particle properties for a pixel using this.particles.mapping
+     * @param x x coordinate of the pixel in the image data
+     * @param y y coordinate of the pixel in the image data
+     */
+    function getMappedProperties(r, g, b, a, x, y) {
+        const { mapping, properties } = _this.particles
+        if (typeof mapping === 'function') return mapping(r, g, b, a, x, y) || {}
+
+        const getChannel = source => {
+            switch (source) {
+                case 'luminance': return getLuminance(r, g, b) / 255
+                case 'alpha': return a / 255
+                case 'red': return r / 255
+                case 'green': return g / 255
+                case 'blue': return b / 255
+            }
+            throw new Error(`couldn't find mapping source: ${source}`)
+        }
+
+        let mappedProperties = {}
+        Object.keys(mapping).forEach(prop => {
+            const propMapping = typeof mapping[prop] === 'string' ? { source: mapping[prop] } : mapping[prop]
+            const isColor = prop === 'fill'
+            const {
+                source = 'luminance',
+                min = isColor ? '#000000' : 0,
+                max = isColor ? '#ffffff' : properties[prop],
+                invert = false
+            } = propMapping
+
+            const value = invert ? 1 - getChannel(source) : getChannel(source)
+            mappedProperties[prop] = isColor ? getTransitionColor(min, max, value) : getTransitionNumber(min, max, value)
+        })
+        return mappedProperties
+    }
+
+    /**
+     * Pairs particles in the pool with transition data, the pool must have a particle for each item of transition data
+     * @param {String} assignment 'random', 'index', 'spatial', 'nearest' or 'color'
+     * @returns {Int32Array} index in transitionDataArr for each particle, -1 for particles that aren't used
+     */
+    function getParticleAssignment(transitionDataArr, assignment) {
+        const pool = _this.particles.pool
+        const dataIndexes = new Int32Array(pool.count).fill(-1)
+        const particleOrder = Array.from({ length: pool.count }, (_, i) => i)
+        const dataOrder = Array.from({ length: transitionDataArr.length }, (_, i) => i)
+
+        const getToPoint = index => {
+            const { toPoint } = transitionDataArr[index]
+            return isPointObject(toPoint) ? toPoint : { x: _this.canvas.width / 2, y: _this.canvas.height / 2 }
+        }
+        // sorts an order in place, returns the key for each index
+        const sortByKey = (order, getKey) => {
+            const keys = order.map(getKey)
+            order.sort((a, b) => keys[a] - keys[b])
+            return keys
+        }
+        // pairs in the order given, unused particles are spread evenly through the particle order
+        const pairInOrder = () => {
+            const interval = dataOrder.length > 1 ? (particleOrder.length - 1) / (dataOrder.length - 1) : 0
+            dataOrder.forEach((dataIndex, k) => dataIndexes[particleOrder[Math.round(k * interval)]] = dataIndex)
+            return dataIndexes
+        }
+
+        if (assignment === 'random') {
+            shuffleArray(dataOrder)
+        } else if (assignment === 'spatial') {
+            sortByKey(particleOrder, i => getHilbertIndex(pool.x[i], pool.y[i]))
+            sortByKey(dataOrder, index => {
+                const { x, y } = getToPoint(index)
+                return getHilbertIndex(x, y)
+            })
+        } else if (assignment === 'color') {
+            // sorted by luminance, then along the curve so matching colors keep their shape
+            const getColorKey = (r, g, b, x, y) => Math.round(getLuminance(r, g, b)) * 1048576 + getHilbertIndex(x, y)
+            const particleKeys = sortByKey(particleOrder, i => {
+                return getColorKey(pool.color[i * 3], pool.color[i * 3 + 1], pool.color[i * 3 + 2], pool.x[i], pool.y[i])
+            })
+            const dataKeys = sortByKey(dataOrder, index => {
+                const { toProperties } = transitionDataArr[index]
+                const fill = toProperties && toProperties.fill !== undefined ? toProperties.fill : _this.particles.properties.fill
+                const { r, g, b } = getRGBColor(fill)
+                const { x, y } = getToPoint(index)
+                return getColorKey(r, g, b, x, y)
+            })
+
+            // walk both orders together, each target takes the closest particle that leaves enough for the targets after it
+            let j = 0
+            dataOrder.forEach((index, k) => {
+                const last = particleOrder.length - dataOrder.length + k
+                const getDifference = position => Math.abs(particleKeys[particleOrder[position]] - dataKeys[index])
+                while (j < last && getDifference(j + 1) <= getDifference(j)) j++
+                dataIndexes[particleOrder[j]] = index
+                j++
+            })
+            return dataIndexes
+        } else if (assignment === 'nearest') {
+            // targets are handled along the curve so neighbouring targets take neighbouring particles
+            sortByKey(dataOrder, index => {
+                const { x, y } = getToPoint(index)
+                return getHilbertIndex(x, y)
+            })
+            return getNearestAssignment(dataOrder.map(getToPoint), dataOrder, dataIndexes)
+        }
+        return pairInOrder()
+    }
+
+    /**
+     * Greedily gives each target the nearest particle that hasn't been taken, particles are bucketed in a grid
+     * so only cells near the target are searched
+     * @param {Array} toPoints point for each index in dataOrder
+     */
+    function getNearestAssignment(toPoints, dataOrder, dataIndexes) {
+        const pool = _this.particles.pool
+        const { width, height } = _this.canvas
+        const cellSize = Math.max(1, Math.sqrt(width * height / Math.max(1, pool.count)) * 2)
+        const columns = Math.max(1, Math.ceil(width / cellSize)),
+            rows = Math.max(1, Math.ceil(height / cellSize))
+        const getColumn = x => Math.min(columns - 1, Math.max(0, Math.floor(x / cellSize)))
+        const getRow = y => Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)))
+
+        let cells = Array.from({ length: columns * rows }, () => [])
+        for (let i = 0; i < pool.count; i++) cells[getRow(pool.y[i]) * columns + getColumn(pool.x[i])].push(i)
+
+        toPoints.forEach(({ x, y }, k) => {
+            const column = getColumn(x),
+                row = getRow(y)
+            let nearestCell = null,
+                nearestSlot = -1,
+                nearestDistance = Infinity
+
+            // search rings of cells outwards until no closer particle can be found
+            for (let ring = 0; ring <= Math.max(columns, rows); ring++) {
+                const ringDistance = (ring - 1) * cellSize
+                if (nearestCell !== null && ringDistance > 0 && ringDistance * ringDistance > nearestDistance) break
+
+                for (let r = Math.max(0, row - ring); r <= Math.min(rows - 1, row + ring); r++) {
+                    for (let c = Math.max(0, column - ring); c <= Math.min(columns - 1, column + ring); c++) {
+                        if (Math.max(Math.abs(r - row), Math.abs(c - column)) !== ring) continue
+                        const cell = cells[r * columns + c]
+                        for (let slot = 0; slot < cell.length; slot++) {
+                            const dx = pool.x[cell[slot]] - x,
+                                dy = pool.y[cell[slot]] - y,
+                                distance = dx * dx + dy * dy
+                            if (distance < nearestDistance) {
+                                nearestCell = cell
+                                nearestSlot = slot
+                                nearestDistance = distance
+                            }
+                        }
+                    }
+                }
+            }
+
+            dataIndexes[nearestCell[nearestSlot]] = dataOrder[k]
+            nearestCell[nearestSlot] = nearestCell[nearestCell.length - 1]
+            nearestCell.pop()
+        })
+        return dataIndexes
+    }
+
+    /**
+     * Position of the point along a Hilbert curve filling the canvas, points close on the curve are close on the canvas
+     * @returns {Number} integer from 0 to 1024 * 1024
+     */
+    function getHilbertIndex(x, y) {
+        const size = 1024
+        let curveX = Math.min(size - 1, Math.max(0, Math.floor(x / _this.canvas.width * size))),
+            curveY = Math.min(size - 1, Math.max(0, Math.floor(y / _this.canvas.height * size))),
+            index = 0
+
+        for (let s = size / 2; s > 0; s >>= 1) {
+            const rx = (curveX & s) > 0 ? 1 : 0,
+                ry = (curveY & s) > 0 ? 1 : 0
+            index += s * s * ((3 * rx) ^ ry)
+
+            // rotate the quadrant so the curve stays continuous
+            if (ry === 0) {
+                if (rx === 1) {
+                    curveX = size - 1 - curveX
+                    curveY = size - 1 - curveY
+                }
+                [curveX, curveY] = [curveY, curveX]
+            }
+        }
+        return index
+    }
+
+    //perceived brightness of a color, 0 - 255
+    function getLuminance(r, g, b) {
+        return .2126 * r + .7152 * g + .0722 * b
+    }
+
+    function getEvenlyDistributedSample(arr, samples) {
+        // the first and last items only fit when there are two samples or more
+        if (samples < 2) return samples === 1 ? [arr[Math.floor(arr.length / 2)]] : []
+        let results = [arr.shift()], // add first item
+            interval = arr.length / samples
+        for (let i = 1; i < samples - 1; i++) {
+            results.push(arr[Math.floor(i * interval)]);
+        }
+        results.push(arr.pop()) //add last item
+        return results
+    }
+
+    function rgbToHex(r, g, b) {
+        function componentToHex(c) {
+            var hex = c.toString(16);
+            return hex.length == 1 ? "0" + hex : hex;
+        }
+        return "#" + componentToHex(r) + componentToHex(g) + componentToHex(b);
+    }
+
+    /**
+     * Throws for unknown settings or values that can't be used, before anything is changed
+     * @param {Object} settings full or partial settings in the same shape as the constructor's
+     */
+    function validateSettings(settings) {
+        const describe = value => {
+            if (typeof value === 'string') return `'${value}'`
+            if (typeof value === 'function') return 'a function'
+            return Array.isArray(value) || isPlainObject(value) ? JSON.stringify(value) : String(value)
+        }
+
+        // each rule is [test, description of what is expected]
+        const any = [() => true, 'anything']
+        const boolean = [value => typeof value === 'boolean', 'true or false']
+        const func = [value => typeof value === 'function', 'a function']
+        const oneOf = (...values) => [value => values.includes(value), `one of ${values.map(describe).join(', ')}`]
+        const number = (min = -Infinity, max = Infinity) => [
+            value => typeof value === 'number' && !isNaN(value) && value >= min && value <= max,
+            max === Infinity ? (min === -Infinity ? 'a number' : `a number from ${min}`) : `a number from ${min} to ${max}`
+        ]
+        const orNull = ([test, expected]) => [value => value === null || test(value), `${expected} or null`]
+        const either = (...rules) => [value => rules.some(([test]) => test(value)), rules.map(([, expected]) => expected).join(' or ')]
+        const found = (getFunction, expected) => [value => {
+            try {
+                getFunction(value)
+                return true
+            } catch (error) {
+                return false
+            }
+        }, expected]
+
+        const enterExitModes = "'fade', 'scatter', 'fall', 'implode', 'from-edges', 'from-point(x, y)' or { mode, distance, point }"
+        const rules = {
+            output: any,
+            seed: orNull(number()),
+            image: {
+                width: number(1),
+                height: number(1),
+                alignH: oneOf('left', 'center', 'right'),
+                alignV: oneOf('top', 'center', 'bottom'),
+                contain: boolean
+            },
+            canvas: {
+                element: any,
+                width: number(1),
+                height: number(1),
+                renderer: either(oneOf('2d', 'webgl'), func),
+                responsive: boolean,
+                padding: { top: number(0), right: number(0), bottom: number(0), left: number(0) }
+            },
+            particles: {
+                density: number(1),
+                sampling: oneOf('grid', 'jitter', 'poisson', 'edge', 'luminance'),
+                alphaThreshold: number(0, 255),
+                luminanceThreshold: number(0, 255),
+                invert: boolean,
+                maxParticles: orNull(number(1)),
+                mapping: orNull(either(func, [isPlainObject, 'an object'])),
+                assignment: orNull(oneOf(...particleAssignments)),
+                shuffle: boolean,
+                removeExited: boolean,
+                array: any,
+                properties: [isPlainObject, 'an object'],
+                draw: orNull(func)
+            },
+            animation: {
+                duration: orNull(number(0)),
+                frames: number(1),
+                delay: number(0),
+                stagger: orNull(either(number(0), [
+                    value => isPlainObject(value) && [undefined, 'index', 'distance', 'random'].includes(value.mode),
+                    "{ mode: 'index', 'distance' or 'random', amount, from }"
+                ])),
+                contain: boolean,
+                moveFunction: found(ParticleImage.getMoveFunction, 'a name in ParticleImage.moveFunctions or a function'),
+                timingFunction: found(ParticleImage.getTimingFunction, 'a name in ParticleImage.timingFunctions, cubic-bezier(), steps(), spring() or a function'),
+                propertyFunction: found(ParticleImage.getPropertyFunction, 'a name in ParticleImage.propertyFunctions or a function'),
+                enter: found(value => getChoreography(value, 'enter'), enterExitModes),
+                exit: found(value => getChoreography(value, 'exit'), enterExitModes)
+            },
+            interaction: {
+                enabled: boolean,
+                mode: oneOf('repel', 'attract', 'ripple'),
+                radius: number(0),
+                strength: number(0),
+                spring: number(0, 1),
+                friction: number(0, 1)
+            },
+            idle: {
+                enabled: boolean,
+                effects: [
+                    value => [].concat(value).every(effect => idleEffects.includes(effect)),
+                    `any of ${idleEffects.map(describe).join(', ')}`
+                ],
+                amplitude: number(0),
+                speed: number(0),
+                pauseWhenHidden: boolean
+            },
+            platform: any
+        }
+
+        const check = (values, sectionRules, path) => {
+            Object.keys(values).forEach(name => {
+                const rule = sectionRules[name]
+                const settingName = path + name
+                if (rule === undefined) throw new Error(`unknown setting: ${settingName}`)
+                if (!Array.isArray(rule)) {
+                    if (!isPlainObject(values[name])) throw new Error(`invalid setting ${settingName}: ${describe(values[name])}, expected an object`)
+                    return check(values[name], rule, `${settingName}.`)
+                }
+                const [test, expected] = rule
+                if (!test(values[name])) throw new Error(`invalid setting ${settingName}: ${describe(values[name])}, expected ${expected}`)
+            })
+        }
+        check(settings, rules, '')
+    }
+
+    //copy of settings or properties with only values that can be saved as JSON
+    function toSerializable(value) {
+        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value
+        if (Array.isArray(value)) return value.map(toSerializable).filter(item => item !== undefined)
+        if (!isPlainObject(value)) return undefined
+
+        let result = {}
+        Object.keys(value).forEach(key => {
+            const item = toSerializable(value[key])
+            if (item !== undefined) result[key] = item
+        })
+        return result
+    }
+
+    /**
+     * True if is object containing keys x, y
+     */
+    function isPointObject(testVar) {
+        if (!isObject(testVar)) return false
+
+        const keys = Object.keys(testVar)
+        return keys.length === 2 && keys.includes('x') && keys.includes('y')
+    }
+
+    /**
+     * Returns value between of two vals. Accepts hex color strings and numbers, otherwise returns to arg
+     */
+    function getTransitionValue(from, to, completion) {
+
+        const isUndefined = val => typeof val === 'undefined'
+        const isHexColor = val => /^#[0-9A-F]{6}$/i.test(val)
+        const isNumber = val => typeof val === 'number'
+
+        if (isNumber(from) && isNumber(to)) return getTransitionNumber(from, to, completion)
+        if (isHexColor(from) && isHexColor(to)) return getTransitionColor(from, to, completion)
+        if (isUndefined(to)) return from
+        return to
+    }
+
+    /**
+     * Returns number between two nums
+     * @param completion 0 = fromNum and 1 = toNum
+     * @returns {Number} float, ex: 0.239
+     */
+    function getTransitionNumber(fromNum, toNum, completion = .5) {
+        let distance = toNum - fromNum
+        return fromNum + distance * completion
+    }
+
+    function shuffleArray(array) {
+        let currentIndex = array.length, randomIndex;
+        while (currentIndex != 0) {
+            randomIndex = Math.floor(random() * currentIndex);
+            currentIndex--;
+            [array[currentIndex], array[randomIndex]] = [
+                array[randomIndex], array[currentIndex]
+            ];
+        }
+
+        return array;
+    }
 
 
 
@@ -599,13 +3418,34 @@ function ParticleImage(settings = {}) {
     }
 
     function getRandomFloat(min, max) {
-        return Math.random() * (max - min) + min
+        return random() * (max - min) + min
+    }
+
+    //float from 0 to 1 from the seeded generator, or Math.random when there's no seed
+    function random() {
+        return _this._random()
+    }
+
+    //mulberry32, small and fast with a good spread for visuals, not for anything secure
+    function createRandom(seed) {
+        let state = seed >>> 0
+        return function () {
+            state = (state + 0x6D2B79F5) | 0
+            let t = Math.imul(state ^ (state >>> 15), 1 | state)
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+        }
     }
 
     function isObject(item) {
         return item && typeof item === 'object' && !Array.isArray(item)
     }
 
+    // true for object literals, false for class instances like elements and canvases
+    function isPlainObject(item) {
+        return isObject(item) && [Object.prototype, null].includes(Object.getPrototypeOf(item))
+    }
+
     function mergeDeep(target, ...sources) {
 
         if (!sources.length) return target
@@ -613,8 +3453,8 @@ function ParticleImage(settings = {}) {
 
         if (isObject(target) && isObject(source)) {
             for (const key in source) {
-                if (isObject(source[key]) && !(source[key] instanceof Element)) {
-                    if (!target[key]) Object.assign(target, { [key]: {} })
+                if (isPlainObject(source[key])) {
+                    if (!isPlainObject(target[key])) Object.assign(target, { [key]: {} })
                     mergeDeep(target[key], source[key])
                 } else {
                     Object.assign(target, { [key]: source[key] })
@@ -624,3 +3464,415 @@ function ParticleImage(settings = {}) {
         return mergeDeep(target, ...sources)
     }
 }
+
+
+// TIMING FUNCTIONS
+//-----------------------------------------------
+
+/**
+ * Timing functions by name, each maps completion (0 - 1) to the position in the animation.
+ * Besides names, timingFunction can be 'cubic-bezier(x1, y1, x2, y2)', 'steps(n)', 'steps(n, start)',
+ * 'spring(stiffness, damping, mass)', { type: 'spring', stiffness, damping, mass } or a function.
+ */
+ParticleImage.timingFunctions = {}
+
+/**
+ * Adds a timing function that can be used by name in animation.timingFunction
+ * @param {Function} timingFunction (completion) => position
+ */
+ParticleImage.registerTimingFunction = function (name, timingFunction) {
+    if (typeof timingFunction !== 'function') throw new Error(`timing function ${name} must be a function`)
+    ParticleImage.timingFunctions[name] = timingFunction
+}
+
+/**
+ * Gets the timing function for a timingFunction setting
+ * @returns {Function} (completion) => position
+ */
+ParticleImage.getTimingFunction = function (value) {
+    if (typeof value === 'function') return value
+    if (value && value.type === 'spring') return ParticleImage.spring(value)
+    if (typeof value === 'string') {
+        if (typeof ParticleImage.timingFunctions[value] === 'function') return ParticleImage.timingFunctions[value]
+
+        const [, name, args = ''] = value.match(/^([\w-]+)\((.*)\)$/) || []
+        const params = args.split(',').map(param => param.trim())
+        const numbers = params.map(Number)
+
+        if (name === 'cubic-bezier' && numbers.length === 4 && !numbers.some(isNaN)) return ParticleImage.cubicBezier(...numbers)
+        if (name === 'steps' && numbers[0] > 0) return ParticleImage.steps(numbers[0], params[1])
+        if (name === 'spring') {
+            // missing values use the defaults
+            const [stiffness, damping, mass] = params.map(param => param === '' ? undefined : Number(param))
+            return ParticleImage.spring({ stiffness: stiffness, damping: damping, mass: mass })
+        }
+    }
+    throw new Error(`couldn't find timing function: ${value}`)
+}
+
+/**
+ * Creates a timing function like the css cubic-bezier()
+ */
+ParticleImage.cubicBezier = function (x1, y1, x2, y2) {
+    const getBezier = (t, p1, p2) => 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t
+    const getSlope = (t, p1, p2) => 3 * (1 - t) * (1 - t) * p1 + 6 * (1 - t) * t * (p2 - p1) + 3 * t * t * (1 - p2)
+
+    // find t for x with newton's method, falling back to bisection where the slope is too flat
+    const getT = x => {
+        let t = x
+        for (let i = 0; i < 8; i++) {
+            const slope = getSlope(t, x1, x2)
+            if (Math.abs(slope) < 1e-6) break
+            const error = getBezier(t, x1, x2) - x
+            if (Math.abs(error) < 1e-6) return t
+            t -= error / slope
+        }
+
+        let low = 0,
+            high = 1
+        t = x
+        for (let i = 0; i < 30; i++) {
+            const value = getBezier(t, x1, x2)
+            if (Math.abs(value - x) < 1e-6) break
+            if (value < x) low = t
+            else high = t
+            t = (low + high) / 2
+        }
+        return t
+    }
+
+    return completion => {
+        if (completion <= 0 || completion >= 1) return completion
+        return getBezier(getT(completion), y1, y2)
+    }
+}
+
+/**
+ * Creates a timing function like the css steps()
+ * @param {String} position 'end' (default) or 'start', which end of each step jumps
+ */
+ParticleImage.steps = function (count, position = 'end') {
+    return completion => {
+        if (completion >= 1) return 1
+        const step = position === 'start' ? Math.ceil(completion * count) : Math.floor(completion * count)
+        return Math.max(0, step / count)
+    }
+}
+
+/**
+ * Creates a timing function from a damped spring moving from 0 to 1. The spring's settling time is
+ * stretched to the length of the transition.
+ * @param {Object} options { stiffness, damping, mass }
+ */
+ParticleImage.spring = function (options = {}) {
+    const { stiffness = 100, damping = 10, mass = 1 } = options
+    const isNumber = value => typeof value === 'number' && isFinite(value)
+    if (!isNumber(stiffness) || stiffness <= 0) throw new Error(`spring stiffness must be a positive number: ${stiffness}`)
+    if (!isNumber(mass) || mass <= 0) throw new Error(`spring mass must be a positive number: ${mass}`)
+    if (!isNumber(damping) || damping < 0) throw new Error(`spring damping must be 0 or more: ${damping}`)
+    const undampedFrequency = Math.sqrt(stiffness / mass)
+    const dampingRatio = damping / (2 * Math.sqrt(stiffness * mass))
+
+    // position of the spring at a time in seconds
+    const getPosition = time => {
+        if (dampingRatio < 1) {
+            const dampedFrequency = undampedFrequency * Math.sqrt(1 - dampingRatio * dampingRatio)
+            return 1 - Math.exp(-dampingRatio * undampedFrequency * time) * (
+                Math.cos(dampedFrequency * time)
+                + (dampingRatio * undampedFrequency / dampedFrequency) * Math.sin(dampedFrequency * time)
+            )
+        }
+        if (dampingRatio === 1) return 1 - Math.exp(-undampedFrequency * time) * (1 + undampedFrequency * time)
+
+        const root = Math.sqrt(dampingRatio * dampingRatio - 1)
+        const r1 = -undampedFrequency * (dampingRatio - root)
+        const r2 = -undampedFrequency * (dampingRatio + root)
+        return 1 - (r2 * Math.exp(r1 * time) - r1 * Math.exp(r2 * time)) / (r2 - r1)
+    }
+
+    // last time the spring is more than .1% away from rest
+    let settleTime = 0
+    for (let time = 0; time < 10; time += .001) {
+        if (Math.abs(getPosition(time) - 1) > .001) settleTime = time
+    }
+    settleTime = Math.max(settleTime, .001)
+
+    return completion => completion >= 1 ? 1 : getPosition(completion * settleTime)
+}
+
+ParticleImage.registerTimingFunction('linear', completion => completion)
+ParticleImage.registerTimingFunction('ease', ParticleImage.cubicBezier(.25, .1, .25, 1))
+ParticleImage.registerTimingFunction('easeIn', completion => completion * completion * completion)
+ParticleImage.registerTimingFunction('easeOut', completion => 1 - Math.pow(1 - completion, 3))
+ParticleImage.registerTimingFunction('easeInOut', completion => completion < .5
+    ? 4 * completion * completion * completion
+    : 1 - Math.pow(-2 * completion + 2, 3) / 2
+)
+
+// easeIn..., easeOut... and easeInOut... from each ease in function
+;[
+    ['Quad', t => t * t],
+    ['Cubic', t => t * t * t],
+    ['Quart', t => t * t * t * t],
+    ['Expo', t => t === 0 ? 0 : Math.pow(2, 10 * t - 10)],
+    ['Back', t => 2.70158 * t * t * t - 1.70158 * t * t],
+    ['Elastic', t => t === 0 || t === 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI) / 3)],
+    ['Bounce', t => {
+        let u = 1 - t
+        if (u < 1 / 2.75) return 1 - 7.5625 * u * u
+        if (u < 2 / 2.75) return 1 - (7.5625 * (u -= 1.5 / 2.75) * u + .75)
+        if (u < 2.5 / 2.75) return 1 - (7.5625 * (u -= 2.25 / 2.75) * u + .9375)
+        return 1 - (7.5625 * (u -= 2.625 / 2.75) * u + .984375)
+    }],
+].forEach(([name, easeIn]) => {
+    ParticleImage.registerTimingFunction(`easeIn${name}`, easeIn)
+    ParticleImage.registerTimingFunction(`easeOut${name}`, t => 1 - easeIn(1 - t))
+    ParticleImage.registerTimingFunction(`easeInOut${name}`, t => t < .5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2)
+})
+
+
+// MOVE AND PROPERTY FUNCTIONS
+//-----------------------------------------------
+
+/**
+ * @typedef MoveSettings Passed to move functions for each particle each frame. The object is reused between
+ * particles, so copy values to keep them.
+ * @property {PointObject} fromPoint where the particle starts the transition
+ * @property {PointObject} toPoint where the particle ends the transition
+ * @property {PointObject} betweenPoint point on a straight line from fromPoint to toPoint at completion
+ * @property {PointObject} spawnPoint where the particle was created
+ * @property {Number} completion position in the transition after the timing function, usually 0 - 1
+ * @property {Number} randFloat random number from -1 to 1 that stays the same for the particle
+ * @property {Number} index index of the particle in particles.array
+ * @property {Object} canvas canvas settings, ex: canvas.width and canvas.height
+ */
+
+/**
+ * @typedef PropertySettings Passed to property functions for each particle each frame. The object is reused
+ * between particles, so copy values to keep them.
+ * @property {Object} fromProperties { fill, opacity, radius } at the start of the transition
+ * @property {Object} toProperties { fill, opacity, radius } at the end of the transition
+ * @property {Object} betweenProperties properties interpolated from fromProperties to toProperties at completion
+ * @property {Number} completion position in the transition after the timing function, usually 0 - 1
+ * @property {Number} randFloat random number from -1 to 1 that stays the same for the particle
+ * @property {Number} index index of the particle in particles.array
+ */
+
+ParticleImage.moveFunctions = {}
+ParticleImage.propertyFunctions = {}
+
+/**
+ * Adds a move function that can be used by name in animation.moveFunction.
+ * 'linear' is drawn without calling its function, so replacing it has no effect.
+ * @param {Function} moveFunction (MoveSettings) => PointObject
+ */
+ParticleImage.registerMoveFunction = function (name, moveFunction) {
+    if (typeof moveFunction !== 'function') throw new Error(`move function ${name} must be a function`)
+    ParticleImage.moveFunctions[name] = moveFunction
+}
+
+/**
+ * Adds a property function that can be used by name in animation.propertyFunction.
+ * 'linear' is drawn without calling its function, so replacing it has no effect.
+ * @param {Function} propertyFunction (PropertySettings) => { fill, opacity, radius }
+ */
+ParticleImage.registerPropertyFunction = function (name, propertyFunction) {
+    if (typeof propertyFunction !== 'function') throw new Error(`property function ${name} must be a function`)
+    ParticleImage.propertyFunctions[name] = propertyFunction
+}
+
+//gets the move function for a moveFunction setting
+ParticleImage.getMoveFunction = function (value) {
+    if (typeof value === 'function') return value
+    if (typeof ParticleImage.moveFunctions[value] === 'function') return ParticleImage.moveFunctions[value]
+    throw new Error(`couldn't find move function: ${value}`)
+}
+
+//gets the property function for a propertyFunction setting
+ParticleImage.getPropertyFunction = function (value) {
+    if (typeof value === 'function') return value
+    if (typeof ParticleImage.propertyFunctions[value] === 'function') return ParticleImage.propertyFunctions[value]
+    throw new Error(`couldn't find property function: ${value}`)
+}
+
+/**
+ * Smooth 2d gradient noise, the same coordinates always return the same value
+ * @returns {Number} float from about -1 to 1
+ */
+ParticleImage.noise = function (x, y) {
+    const getGradientDot = (cellX, cellY, dx, dy) => {
+        let hash = Math.imul(cellX, 374761393) + Math.imul(cellY, 668265263) | 0
+        hash = Math.imul(hash ^ (hash >>> 13), 1274126177)
+        const angle = ((hash ^ (hash >>> 16)) >>> 0) / 4294967296 * Math.PI * 2
+        return Math.cos(angle) * dx + Math.sin(angle) * dy
+    }
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10)
+
+    const cellX = Math.floor(x),
+        cellY = Math.floor(y),
+        dx = x - cellX,
+        dy = y - cellY,
+        u = fade(dx),
+        v = fade(dy)
+
+    const top = getGradientDot(cellX, cellY, dx, dy) * (1 - u) + getGradientDot(cellX + 1, cellY, dx - 1, dy) * u
+    const bottom = getGradientDot(cellX, cellY + 1, dx, dy - 1) * (1 - u) + getGradientDot(cellX + 1, cellY + 1, dx - 1, dy - 1) * u
+    return (top * (1 - v) + bottom * v) * Math.SQRT2
+}
+
+ParticleImage.registerMoveFunction('linear', settings => settings.betweenPoint)
+
+ParticleImage.registerMoveFunction('rotate', settings => {
+    const { toPoint, betweenPoint, spawnPoint, completion, randFloat } = settings
+    const booster = 1 - completion // = 1 when completion = 0 and 0 when completion = 1
+    const sin = Math.sin(completion),
+        cos = Math.cos(completion),
+        dx = betweenPoint.x - toPoint.x,
+        dy = betweenPoint.y - toPoint.y
+
+    return {
+        x: toPoint.x + dx * cos - dy * sin + spawnPoint.x * randFloat * booster * completion,
+        y: toPoint.y + dx * sin + dy * cos + spawnPoint.y * randFloat * booster * completion
+    }
+})
+
+// spirals into place around toPoint
+ParticleImage.registerMoveFunction('swirl', settings => {
+    const { toPoint, betweenPoint, completion, randFloat } = settings
+    const angle = (1 - completion) * completion * 4 * Math.PI * (1 + randFloat * .5)
+    const sin = Math.sin(angle),
+        cos = Math.cos(angle),
+        dx = betweenPoint.x - toPoint.x,
+        dy = betweenPoint.y - toPoint.y
+
+    return {
+        x: toPoint.x + dx * cos - dy * sin,
+        y: toPoint.y + dx * sin + dy * cos
+    }
+})
+
+// bursts out from the canvas center and falls back into place
+ParticleImage.registerMoveFunction('explode', settings => {
+    const { betweenPoint, completion, randFloat, canvas } = settings
+    const dx = betweenPoint.x - canvas.width / 2,
+        dy = betweenPoint.y - canvas.height / 2,
+        distance = Math.sqrt(dx * dx + dy * dy) || 1,
+        push = Math.sin(Math.PI * completion) * Math.max(canvas.width, canvas.height) * .25 * (1.5 + randFloat * .5)
+
+    return {
+        x: betweenPoint.x + dx / distance * push,
+        y: betweenPoint.y + dy / distance * push
+    }
+})
+
+// weaves side to side along the path
+ParticleImage.registerMoveFunction('wave', settings => {
+    const { fromPoint, toPoint, betweenPoint, completion, randFloat } = settings
+    const dx = toPoint.x - fromPoint.x,
+        dy = toPoint.y - fromPoint.y,
+        length = Math.sqrt(dx * dx + dy * dy) || 1,
+        offset = Math.sin(completion * Math.PI * 4) * Math.sin(completion * Math.PI) * (20 + 10 * randFloat)
+
+    return {
+        x: betweenPoint.x - dy / length * offset,
+        y: betweenPoint.y + dx / length * offset
+    }
+})
+
+// thrown upwards and pulled back down into place
+ParticleImage.registerMoveFunction('gravity', settings => {
+    const { betweenPoint, completion, randFloat, canvas } = settings
+    const height = canvas.height * .2 * (1.5 + randFloat * .5)
+
+    return {
+        x: betweenPoint.x,
+        y: betweenPoint.y - 4 * height * completion * (1 - completion)
+    }
+})
+
+// drifts along a curl noise flow field
+ParticleImage.registerMoveFunction('noise', settings => {
+    const { betweenPoint, completion, randFloat } = settings
+    const scale = .005,
+        step = .01,
+        x = betweenPoint.x * scale + completion,
+        y = betweenPoint.y * scale + randFloat
+
+    // the curl of the noise field swirls without particles bunching up
+    const flowX = (ParticleImage.noise(x, y + step) - ParticleImage.noise(x, y - step)) / (2 * step),
+        flowY = -(ParticleImage.noise(x + step, y) - ParticleImage.noise(x - step, y)) / (2 * step),
+        length = Math.sqrt(flowX * flowX + flowY * flowY) || 1,
+        distance = Math.sin(Math.PI * completion) * 60
+
+    return {
+        x: betweenPoint.x + flowX / length * distance,
+        y: betweenPoint.y + flowY / length * distance
+    }
+})
+
+ParticleImage.registerPropertyFunction('linear', settings => settings.betweenProperties)
+
+ParticleImage.registerPropertyFunction('bubble', settings => {
+    const { betweenProperties, toProperties, completion, randFloat } = settings
+    const booster = 1 - completion // = 1 when completion = 0 and 0 when completion = 1
+    betweenProperties.radius += booster * Math.min(Math.abs((booster * randFloat) * toProperties.radius), toProperties.radius * 1.5)
+    return betweenProperties
+})
+
+
+/**
+ * Creates a ParticleImage with the settings and particles saved by toJSON()
+ * @param {Object} settings overrides for the saved settings by section, ex: { output, canvas: { element }, platform }
+ */
+ParticleImage.fromJSON = function (data, settings = {}) {
+    const isSection = value => Object.prototype.toString.call(value) === '[object Object]'
+    let mergedSettings = { ...data.settings }
+    Object.keys(settings).forEach(section => {
+        mergedSettings[section] = isSection(settings[section]) && isSection(mergedSettings[section])
+            ? { ...mergedSettings[section], ...settings[section] }
+            : settings[section]
+    })
+    return new ParticleImage(mergedSettings).restore(data)
+}
+
+/**
+ * Frame scheduler and clock that only move forward when step() is called. Pass it as the platform setting
+ * to step transitions frame by frame, ex: in tests or when rendering on a server.
+ * @param {Number} frameDuration ms the clock moves forward each frame
+ */
+ParticleImage.createManualScheduler = function (frameDuration = 1000 / 60) {
+    let time = 0,
+        nextId = 1,
+        callbacks = new Map()
+
+    return {
+        requestFrame: callback => {
+            callbacks.set(nextId, callback)
+            return nextId++
+        },
+        cancelFrame: id => callbacks.delete(id),
+        now: () => time,
+        hasPendingFrames: () => callbacks.size > 0,
+        /**
+         * Runs the frames requested before each step
+         * @returns {Number} number of steps that ran a frame
+         */
+        step: function (frames = 1) {
+            let steps = 0
+            for (let i = 0; i < frames && callbacks.size > 0; i++) {
+                const pending = Array.from(callbacks.values())
+                callbacks.clear()
+                time += frameDuration
+                pending.forEach(callback => callback(time))
+                steps++
+            }
+            return steps
+        },
+        //steps until no frames are requested
+        flush: function (maxFrames = 100000) {
+            return this.step(maxFrames)
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ParticleImage
@@ -0,0 +1,64 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, getSortedPoints, points } = require('./helpers.js')
+
+//particles moving to points, on the first frame of the transition
+function startTransition(animation) {
+    const { particleImage, scheduler } = createParticleImage({ animation: animation })
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+    let completions = []
+    particleImage.on('frame', ({ completion }) => completions.push(completion))
+    const transition = particleImage.animate()
+    return { particleImage, scheduler, transition, completions }
+}
+
+test('the last frame in frames mode finishes the transition', async () => {
+    const { particleImage, scheduler, transition, completions } = startTransition({ frames: 10, timingFunction: 'steps(4)' })
+    scheduler.flush()
+
+    assert.strictEqual(await transition, true)
+    assert.strictEqual(completions.length, 10)
+    assert.strictEqual(completions[completions.length - 1], 1)
+    assert.deepStrictEqual(getSortedPoints(particleImage), points)
+    particleImage.particles.array.forEach(particle => assert.strictEqual(particle.properties.opacity, 1))
+})
+
+test('a duration of 0 moves particles to the end in one frame', async () => {
+    const { particleImage, scheduler, transition, completions } = startTransition({ duration: 0 })
+    scheduler.flush()
+
+    assert.strictEqual(await transition, true)
+    assert.deepStrictEqual(completions, [1])
+    assert.deepStrictEqual(getSortedPoints(particleImage), points)
+})
+
+test('a duration of 0 with a delay jumps once the delay has passed', async () => {
+    const { particleImage, scheduler, transition } = startTransition({ duration: 0, delay: 100 })
+    const start = getSortedPoints(particleImage)
+    scheduler.step(3)
+    assert.deepStrictEqual(getSortedPoints(particleImage), start)
+    scheduler.flush()
+
+    assert.strictEqual(await transition, true)
+    assert.deepStrictEqual(getSortedPoints(particleImage), points)
+})
+
+test('particles wait for the delay and stagger by index', async () => {
+    const { particleImage, scheduler, transition } = startTransition({ duration: 100, delay: 50, stagger: 100, timingFunction: 'linear' })
+    const pool = particleImage.particles.pool
+    const start = [0, 1, 2].map(i => pool.getPoint('point', i))
+    const hasMoved = i => pool.x[i] !== start[i].x || pool.y[i] !== start[i].y
+
+    // the clock moves 1000 / 60 ms each frame, particles start at 50, 100 and 150 ms
+    scheduler.step(3)
+    assert.deepStrictEqual([0, 1, 2].map(hasMoved), [false, false, false])
+    scheduler.step(3)
+    assert.deepStrictEqual([0, 1, 2].map(hasMoved), [true, false, false])
+    scheduler.step(1)
+    assert.deepStrictEqual([0, 1, 2].map(hasMoved), [true, true, false])
+    scheduler.flush()
+
+    assert.strictEqual(await transition, true)
+    assert.strictEqual(scheduler.now() >= 250, true)
+    assert.deepStrictEqual(getSortedPoints(particleImage), points)
+})
@@ -0,0 +1,70 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, points } = require('./helpers.js')
+
+//particles resting on points, moved there with a transition of one frame
+async function createRestingParticles(settings, transitionDataArr) {
+    const { particleImage, scheduler } = createParticleImage({ animation: { duration: 0 }, ...settings })
+    const transition = particleImage.animate(transitionDataArr)
+    scheduler.flush()
+    await transition
+    return particleImage
+}
+
+//point each particle is moving to
+const getTargets = particleImage => particleImage.particles.array.map(particle => ({ ...particle.transitionData.toPoint }))
+const getPoints = particleImage => particleImage.particles.array.map(particle => ({ ...particle.point }))
+
+const morePoints = [...points, { x: 150, y: 80 }, { x: 5, y: 95 }, { x: 180, y: 10 }]
+
+test('index assignment pairs in order and spreads the unused particles evenly', async () => {
+    const particleImage = await createRestingParticles({ particles: { assignment: 'index' } }, morePoints.map(point => ({ toPoint: point })))
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+
+    const targets = getTargets(particleImage)
+    assert.deepStrictEqual([targets[0], targets[3], targets[5]], points)
+    const pool = particleImage.particles.pool
+    assert.deepStrictEqual(Array.from(pool.toOpacity.slice(0, pool.count), opacity => opacity > 0), [true, false, false, true, false, true])
+})
+
+test('nearest and spatial assignment keep particles in place when the points are the same', async () => {
+    for (const assignment of ['nearest', 'spatial']) {
+        const particleImage = await createRestingParticles({ particles: { assignment: assignment } }, morePoints.map(point => ({ toPoint: point })))
+        particleImage.setParticles(morePoints.slice().reverse().map(point => ({ toPoint: point })))
+        assert.deepStrictEqual(getTargets(particleImage), getPoints(particleImage), assignment)
+    }
+})
+
+test('color assignment pairs particles with targets of the same color', async () => {
+    const fills = ['#ff0000', '#0000ff', '#ffffff']
+    const particleImage = await createRestingParticles({ particles: { assignment: 'color' } }, points.map((point, i) => ({
+        toPoint: point,
+        toProperties: { fill: fills[i] }
+    })))
+    const fillByPoint = new Map(points.map((point, i) => [`${point.x},${point.y}`, fills[i]]))
+    particleImage.setParticles(morePoints.slice(3).map((point, i) => ({ toPoint: point, toProperties: { fill: fills[i] } })))
+
+    particleImage.particles.array.forEach(particle => {
+        const { x, y } = particle.point
+        assert.strictEqual(particle.transitionData.toProperties.fill, fillByPoint.get(`${x},${y}`))
+    })
+})
+
+test('every strategy uses each item of transition data once and fades out the rest', async () => {
+    for (const assignment of ['random', 'index', 'spatial', 'nearest', 'color']) {
+        const particleImage = await createRestingParticles({ particles: { assignment: assignment } }, morePoints.map(point => ({ toPoint: point })))
+        particleImage.setParticles(points.map(point => ({ toPoint: point })))
+
+        const pool = particleImage.particles.pool
+        const used = particleImage.particles.array.filter(particle => pool.toOpacity[particle.index] > 0)
+        assert.strictEqual(used.length, points.length, assignment)
+        const targets = used.map(particle => ({ ...particle.transitionData.toPoint })).sort((a, b) => a.x - b.x)
+        assert.deepStrictEqual(targets, points.slice().sort((a, b) => a.x - b.x), assignment)
+    }
+})
+
+test('unknown assignments throw', () => {
+    const { particleImage } = createParticleImage()
+    particleImage.particles.assignment = 'alphabetical'
+    assert.throws(() => particleImage.setParticles([{ toPoint: points[0] }]), /couldn't find particle assignment: alphabetical/)
+})
@@ -0,0 +1,68 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, flushUntilSettled, points } = require('./helpers.js')
+
+const morePoints = [...points, { x: 150, y: 80 }, { x: 5, y: 95 }, { x: 180, y: 10 }]
+const toTransitionData = points => points.map(point => ({ toPoint: point }))
+
+//six particles resting on morePoints, paired by index so the surplus ones are known: 1, 2 and 4 for three points
+async function createRestingParticles(settings = {}) {
+    const { particleImage, scheduler } = createParticleImage({
+        ...settings,
+        particles: { assignment: 'index', ...settings.particles },
+        animation: { frames: 4, timingFunction: 'linear', ...settings.animation }
+    })
+    await flushUntilSettled(particleImage.animate(toTransitionData(morePoints)), scheduler)
+    return { particleImage, scheduler }
+}
+
+test('surplus particles fall below the canvas, speeding up on the way', async () => {
+    const { particleImage, scheduler } = await createRestingParticles({ animation: { exit: 'fall' } })
+    const pool = particleImage.particles.pool
+    const radius = pool.radius[1]
+    const transition = particleImage.animate(toTransitionData(points))
+    const toPoint = { ...particleImage.particles.array[1].transitionData.toPoint }
+    assert.deepStrictEqual(toPoint, { x: morePoints[1].x, y: particleImage.canvas.height + radius + 1 })
+
+    // 'linear' timing at half way, the falling particle has covered a quarter of its path
+    scheduler.step(2)
+    const { x, y } = particleImage.particles.array[1].point
+    assert.strictEqual(x, toPoint.x)
+    assert.ok(Math.abs(y - (morePoints[1].y + (toPoint.y - morePoints[1].y) * .25)) < 1e-3)
+
+    await flushUntilSettled(transition, scheduler)
+    ;[1, 2, 4].forEach(i => {
+        assert.strictEqual(pool.opacity[i], 0)
+        assert.ok(pool.y[i] > particleImage.canvas.height)
+    })
+})
+
+test('removeExited drops the particles that left once the transition ends', async () => {
+    const { particleImage, scheduler } = await createRestingParticles({ particles: { removeExited: true } })
+    const transition = particleImage.animate(toTransitionData(points))
+    assert.strictEqual(particleImage.particles.pool.count, 6)
+
+    await flushUntilSettled(transition, scheduler)
+    assert.strictEqual(particleImage.particles.pool.count, 3)
+    assert.deepStrictEqual(particleImage.particles.array.map(particle => particle.index), [0, 1, 2])
+    assert.deepStrictEqual(particleImage.particles.array.map(particle => ({ ...particle.point })), points)
+})
+
+test('particles that exited enter again like new ones', async () => {
+    const { particleImage, scheduler } = await createRestingParticles({ animation: { enter: 'from-point(0, 0)' } })
+    await flushUntilSettled(particleImage.animate(toTransitionData(points)), scheduler)
+
+    particleImage.setParticles(toTransitionData(morePoints))
+    const fromPoints = particleImage.particles.array.map(particle => ({ ...particle.transitionData.fromPoint }))
+    ;[1, 2, 4].forEach(i => assert.deepStrictEqual(fromPoints[i], { x: 0, y: 0 }))
+    ;[0, 3, 5].forEach((i, k) => assert.deepStrictEqual(fromPoints[i], points[k]))
+})
+
+test('unknown enter and exit modes throw', () => {
+    assert.throws(() => createParticleImage({ animation: { enter: 'spin' } }), /invalid setting animation.enter: 'spin'/)
+
+    // set directly, skipping the validator
+    const { particleImage } = createParticleImage()
+    particleImage.animation.exit = { mode: 'from-point' }
+    assert.throws(() => particleImage.setParticles(toTransitionData(points)), /exit mode from-point needs a point/)
+})
@@ -0,0 +1,103 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createPlatform } = require('./helpers.js')
+const ParticleImageElement = require('../particle-image-element.js')
+
+//element with the attribute and event methods a browser would give it, counting canvases and image loads
+class TestElement extends ParticleImageElement {
+    constructor(attributes = {}) {
+        super()
+        this._attributes = new Map(Object.entries(attributes))
+        this.events = []
+        this.canvases = 0
+        this.loads = 0
+        const platform = createPlatform()
+        this.settings = {
+            idle: { enabled: false },
+            platform: {
+                ...platform,
+                createCanvas: (width, height) => {
+                    this.canvases++
+                    return platform.createCanvas(width, height)
+                },
+                loadImage: src => {
+                    this.loads++
+                    return platform.loadImage(src)
+                },
+                observeResize: () => () => { }
+            }
+        }
+    }
+
+    //runs the callbacks a browser runs when the element in the markup is upgraded
+    upgrade() {
+        this.isConnected = true
+        this._attributes.forEach((value, name) => this.attributeChangedCallback(name, null, value))
+        this.connectedCallback()
+    }
+
+    getAttribute(name) {
+        return this._attributes.has(name) ? this._attributes.get(name) : null
+    }
+
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name)
+        this._attributes.set(name, String(value))
+        this.attributeChangedCallback(name, oldValue, String(value))
+    }
+
+    removeAttribute(name) {
+        const oldValue = this.getAttribute(name)
+        this._attributes.delete(name)
+        this.attributeChangedCallback(name, oldValue, null)
+    }
+
+    dispatchEvent(event) {
+        this.events.push(event)
+    }
+
+    appendChild(child) {
+        child.parentNode = this
+    }
+
+    removeChild(child) {
+        child.parentNode = null
+    }
+}
+
+test('upgrading an element creates one ParticleImage and loads the image once', async () => {
+    const element = new TestElement({ src: 'logo.png', responsive: '', renderer: '2d', density: '4', frames: '5' })
+    element.upgrade()
+    // checked before the image loads, sampling it makes a canvas too
+    assert.strictEqual(element.canvases, 1)
+    await Promise.resolve()
+    assert.strictEqual(element.loads, 1)
+    assert.strictEqual(element.particleImage.particles.density, 4)
+    assert.strictEqual(element.particleImage.animation.frames, 5)
+})
+
+test('invalid settings are dispatched as error events and creation is retried', () => {
+    const element = new TestElement({ density: 'lots' })
+    element.upgrade()
+
+    assert.strictEqual(element.particleImage, null)
+    assert.strictEqual(element.events[0].type, 'error')
+    assert.match(element.events[0].detail.error.message, /invalid setting particles.density/)
+
+    element.setAttribute('density', '6')
+    assert.strictEqual(element.particleImage.particles.density, 6)
+})
+
+test('library events are dispatched from the element after a rebuild', () => {
+    const element = new TestElement({ frames: '2' })
+    element.upgrade()
+    const first = element.particleImage
+    element.setAttribute('renderer', '2d')
+    assert.notStrictEqual(element.particleImage, first)
+
+    element.particleImage.setParticles([{ toPoint: { x: 1, y: 1 } }])
+    element.particleImage.animate()
+    element.settings.platform.flush()
+    const types = element.events.map(event => event.type)
+    assert.deepStrictEqual(types, ['transitionstart', 'frame', 'frame', 'transitionend'])
+})
@@ -0,0 +1,72 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, flushUntilSettled, points } = require('./helpers.js')
+
+//event names in the order they were emitted
+function recordEvents(particleImage, names) {
+    let events = []
+    names.forEach(name => particleImage.on(name, data => events.push({ name, data })))
+    return events
+}
+
+test('a transition emits start, frame and end events and resolves true', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 3 } })
+    const events = recordEvents(particleImage, ['transitionstart', 'frame', 'transitionend', 'cancel'])
+    const transition = particleImage.animate(points.map(point => ({ toPoint: point })))
+    scheduler.flush()
+
+    assert.strictEqual(await transition, true)
+    assert.deepStrictEqual(events.map(({ name }) => name), ['transitionstart', 'frame', 'frame', 'frame', 'transitionend'])
+    assert.strictEqual(events[0].data.frames, 3)
+    assert.deepStrictEqual(events.filter(({ name }) => name === 'frame').map(({ data }) => data.frame), [0, 1, 2])
+    assert.strictEqual(events[4].data.particles, particleImage.particles.array)
+})
+
+test('a transition that is cancelled or replaced resolves false', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 10 } })
+    const events = recordEvents(particleImage, ['cancel', 'transitionend'])
+    const cancelled = particleImage.animate(points.map(point => ({ toPoint: point })))
+    scheduler.step(2)
+    assert.strictEqual(particleImage.cancelAnimation(), true)
+    assert.strictEqual(await cancelled, false)
+
+    const replaced = particleImage.animate()
+    const replacement = particleImage.animate()
+    scheduler.flush()
+    assert.strictEqual(await replaced, false)
+    assert.strictEqual(await replacement, true)
+    assert.deepStrictEqual(events.map(({ name }) => name), ['cancel', 'cancel', 'transitionend'])
+    assert.strictEqual(particleImage.cancelAnimation(), false)
+})
+
+test('images emit imageload, or error and reject when they fail to load', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 2 } })
+    const events = recordEvents(particleImage, ['imageload', 'error'])
+
+    assert.strictEqual(await flushUntilSettled(particleImage.animateToImage('logo.png'), scheduler), true)
+    await assert.rejects(particleImage.animateToImage('missing'), /couldn't load image: missing/)
+    assert.deepStrictEqual(events.map(({ name, data }) => [name, data.src]), [['imageload', 'logo.png'], ['error', 'missing']])
+})
+
+test('an image that finishes loading after particles were set again resolves false', async () => {
+    const { particleImage, scheduler } = createParticleImage()
+    const superseded = particleImage.animateToImage('logo.png')
+    particleImage.setParticles([{ toPoint: points[0] }])
+
+    assert.strictEqual(await flushUntilSettled(superseded, scheduler), false)
+    assert.strictEqual(particleImage.particles.array.length, 1)
+})
+
+test('off removes one listener or all of an event', () => {
+    const { particleImage } = createParticleImage()
+    let calls = []
+    const first = () => calls.push('first')
+    particleImage.on('cancel', first).on('cancel', () => calls.push('second'))
+    particleImage.setParticles([{ toPoint: points[0] }])
+
+    particleImage.animate()
+    particleImage.off('cancel', first).cancelAnimation()
+    particleImage.animate()
+    particleImage.off('cancel').cancelAnimation()
+    assert.deepStrictEqual(calls, ['second'])
+})
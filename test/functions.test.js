@@ -0,0 +1,58 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, createParticleImage } = require('./helpers.js')
+
+test('registered move functions move particles between their points', async () => {
+    let completions = []
+    ParticleImage.registerMoveFunction('raise', ({ betweenPoint, completion }) => {
+        completions.push(completion)
+        return { x: betweenPoint.x, y: betweenPoint.y - Math.sin(completion * Math.PI) * 10 }
+    })
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 4, moveFunction: 'raise', timingFunction: 'linear' } })
+    particleImage.setParticles([{ fromPoint: { x: 0, y: 50 }, toPoint: { x: 100, y: 50 } }])
+    const transition = particleImage.animate()
+    scheduler.step(2)
+
+    const { x, y } = particleImage.particles.array[0].point
+    assert.ok(Math.abs(x - 50) < 1e-6)
+    assert.ok(Math.abs(y - 40) < 1e-6)
+    scheduler.flush()
+    assert.strictEqual(await transition, true)
+    assert.deepStrictEqual(completions, [0, .25, .5, 1])
+    assert.deepStrictEqual({ ...particleImage.particles.array[0].point }, { x: 100, y: 50 })
+})
+
+test('unknown functions are reported by name', async () => {
+    assert.throws(() => ParticleImage.getMoveFunction('teleport'), /couldn't find move function: teleport/)
+    assert.throws(() => ParticleImage.getPropertyFunction('melt'), /couldn't find property function: melt/)
+    assert.throws(() => ParticleImage.registerPropertyFunction('melt', 'slowly'), /property function melt must be a function/)
+
+    const { particleImage } = createParticleImage()
+    await assert.rejects(particleImage.animate(null, { moveFunction: 'teleport' }), /couldn't find move function: teleport/)
+})
+
+test('property functions don\'t carry properties from one particle to the next', async () => {
+    const { particleImage, scheduler } = createParticleImage({ particles: { shuffle: false }, animation: { frames: 4, propertyFunction: 'bubble' } })
+    particleImage.setParticles([
+        { toPoint: { x: 10, y: 10 }, toProperties: { shape: 'star' } },
+        { toPoint: { x: 20, y: 20 } }
+    ])
+    const transition = particleImage.animate()
+    scheduler.step(1)
+
+    const [star, plain] = particleImage.particles.array
+    assert.strictEqual(star.properties.shape, 'star')
+    assert.strictEqual(plain.properties.shape, undefined)
+    scheduler.flush()
+    await transition
+})
+
+test('noise is smooth and repeatable', () => {
+    assert.strictEqual(ParticleImage.noise(1.3, 2.7), ParticleImage.noise(1.3, 2.7))
+    assert.strictEqual(ParticleImage.noise(2, 3), 0)
+    for (let x = 0; x < 10; x += .37) {
+        const value = ParticleImage.noise(x, x * .5)
+        assert.ok(value >= -1 && value <= 1)
+        assert.ok(Math.abs(value - ParticleImage.noise(x + .01, x * .5)) < .05)
+    }
+})
@@ -0,0 +1,30 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, createParticleImage, getSortedPoints, points } = require('./helpers.js')
+
+test('manual scheduler only runs frames when stepped', () => {
+    const scheduler = ParticleImage.createManualScheduler(10)
+    let times = []
+    scheduler.requestFrame(time => times.push(time))
+    const cancelled = scheduler.requestFrame(time => times.push(-time))
+    scheduler.cancelFrame(cancelled)
+
+    assert.strictEqual(scheduler.now(), 0)
+    assert.ok(scheduler.hasPendingFrames())
+    assert.strictEqual(scheduler.step(3), 1)
+    assert.deepStrictEqual(times, [10])
+    assert.strictEqual(scheduler.now(), 10)
+    assert.ok(!scheduler.hasPendingFrames())
+})
+
+test('transitions finish when the scheduler is flushed', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { duration: 100 } })
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+    const transition = particleImage.animate()
+
+    scheduler.step(1)
+    assert.notDeepStrictEqual(getSortedPoints(particleImage), points)
+    scheduler.flush()
+    assert.strictEqual(await transition, true)
+    assert.deepStrictEqual(getSortedPoints(particleImage), points)
+})
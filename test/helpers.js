@@ -0,0 +1,67 @@
+// fake platform shared by the tests, ParticleImage runs without a DOM
+const ParticleImage = require('../particle-image.js')
+
+//canvas with a 2d context that draws nothing, every method is a no-op and every pixel is opaque white.
+//it's a class instance like a real canvas, settings are merged deeply but elements are kept as they are
+class FakeCanvas {
+    constructor(width, height, getContext = () => createContext()) {
+        this.width = width
+        this.height = height
+        this.style = {}
+        this.getContext = getContext
+    }
+
+    toDataURL() {
+        return 'data:image/png;base64,'
+    }
+}
+
+const createContext = () => new Proxy({
+    getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) })
+}, {
+    get: (context, name) => name in context ? context[name] : () => { }
+})
+
+const createCanvas = (width, height) => new FakeCanvas(width, height)
+
+//image loaded at once, src 'missing' fails like a broken url
+const loadImage = src => src === 'missing'
+    ? Promise.reject(new Error(`couldn't load image: ${src}`))
+    : Promise.resolve({ src: src, width: 20, height: 10 })
+
+//platform stepped by hand, see ParticleImage.createManualScheduler
+function createPlatform() {
+    return { createCanvas: createCanvas, loadImage: loadImage, ...ParticleImage.createManualScheduler() }
+}
+
+//ParticleImage stepped frame by frame, settings are merged over a small canvas without idle effects
+function createParticleImage(settings = {}) {
+    const platform = createPlatform()
+    const particleImage = new ParticleImage({
+        canvas: { width: 200, height: 100 },
+        idle: { enabled: false },
+        ...settings,
+        platform: platform
+    })
+    return { particleImage, scheduler: platform }
+}
+
+//steps frames until the promise settles, ex: a transition that starts once an image has loaded
+async function flushUntilSettled(promise, scheduler) {
+    let settled = false
+    promise.then(() => settled = true, () => settled = true)
+    while (!settled) {
+        scheduler.flush()
+        await new Promise(resolve => setImmediate(resolve))
+    }
+    return promise
+}
+
+//particle points sorted by position, particles are shuffled so their order isn't known
+const getSortedPoints = particleImage => particleImage.particles.array
+    .map(particle => ({ ...particle.point }))
+    .sort((a, b) => a.x - b.x || a.y - b.y)
+
+const points = [{ x: 10, y: 20 }, { x: 50, y: 60 }, { x: 90, y: 30 }]
+
+module.exports = { ParticleImage, FakeCanvas, createCanvas, createPlatform, createParticleImage, flushUntilSettled, getSortedPoints, points }
@@ -0,0 +1,89 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, FakeCanvas, createPlatform, createParticleImage, flushUntilSettled } = require('./helpers.js')
+
+//canvas whose 2d context records the color and offset each fill is drawn with
+function createRecordingCanvas(width, height) {
+    let fills = []
+    const state = { fillStyle: '#000000', translateX: 0 }
+    const context = new Proxy(state, {
+        get: (state, name) => {
+            if (name === 'fills') return fills
+            if (name === 'fill') return () => fills.push({ fill: state.fillStyle, x: state.translateX })
+            if (name === 'setTransform') return (a, b, c, d, e) => state.translateX = e
+            return name in state ? state[name] : () => { }
+        }
+    })
+    return new FakeCanvas(width, height, () => context)
+}
+
+test('layers are drawn with the instance\'s particles in z-order', async () => {
+    const platform = { ...createPlatform(), createCanvas: createRecordingCanvas }
+    const particleImage = new ParticleImage({
+        canvas: { width: 200, height: 100 },
+        animation: { duration: 0 },
+        idle: { enabled: false },
+        platform: platform
+    })
+    const front = particleImage.addLayer('front', { transform: { x: 30 } })
+    const back = particleImage.addLayer('back', { z: -1 })
+    const transitions = [[particleImage, '#ff0000'], [front, '#00ff00'], [back, '#0000ff']].map(([instance, fill]) => {
+        return instance.animate([{ toPoint: { x: 10, y: 10 }, toProperties: { fill: fill } }])
+    })
+    const fills = particleImage.canvas.context.fills
+    await flushUntilSettled(Promise.all(transitions), platform)
+
+    assert.deepStrictEqual(fills.slice(-3), [{ fill: '#0000ff', x: 0 }, { fill: '#ff0000', x: 0 }, { fill: '#00ff00', x: 30 }])
+    assert.strictEqual(platform.hasPendingFrames(), false)
+
+    particleImage.setLayerTransform('front', { x: 50 })
+    assert.deepStrictEqual(fills.slice(-1), [{ fill: '#00ff00', x: 50 }])
+    assert.ok(particleImage.removeLayer('back'))
+    assert.deepStrictEqual(fills.slice(-2).map(({ fill }) => fill), ['#ff0000', '#00ff00'])
+})
+
+test('layers are found and removed by name', () => {
+    const { particleImage } = createParticleImage()
+    const layer = particleImage.addLayer('stars')
+    assert.strictEqual(particleImage.getLayer('stars'), layer)
+    assert.throws(() => particleImage.addLayer('stars'), /layer already exists: stars/)
+    assert.throws(() => particleImage.setLayerTransform('moon', { x: 1 }), /couldn't find layer: moon/)
+
+    assert.strictEqual(particleImage.removeLayer('stars'), true)
+    assert.strictEqual(particleImage.getLayer('stars'), null)
+    assert.strictEqual(particleImage.removeLayer('stars'), false)
+})
+
+test('layers follow the size and pixel ratio of the shared canvas', () => {
+    let resize = null, observers = 0
+    const platform = {
+        ...createPlatform(),
+        getPixelRatio: () => 2,
+        observeResize: (element, callback) => {
+            resize = callback
+            observers++
+            return () => observers--
+        }
+    }
+    const output = { appendChild: element => element.parentNode = output, removeChild: element => element.parentNode = null }
+    const particleImage = new ParticleImage({
+        output: output,
+        canvas: { width: 200, height: 100, responsive: true },
+        idle: { enabled: false },
+        platform: platform
+    })
+    const layer = particleImage.addLayer('top')
+    const element = particleImage.canvas.element
+    assert.strictEqual(observers, 1)
+    assert.strictEqual(layer.canvas.element, element)
+    assert.strictEqual(layer.canvas.pixelRatio, 2)
+    assert.strictEqual(element.width, 400)
+
+    resize(300, 150)
+    assert.deepStrictEqual([layer.canvas.width, layer.canvas.height, element.width], [300, 150, 600])
+    particleImage.configure({ canvas: { width: 250 } })
+    assert.strictEqual(layer.canvas.width, 250)
+
+    particleImage.destroy()
+    assert.strictEqual(observers, 0)
+})
@@ -0,0 +1,40 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, points } = require('./helpers.js')
+
+test('particle accessors write through to the pool', () => {
+    const { particleImage } = createParticleImage()
+    particleImage.setParticles([{ toPoint: points[0] }])
+    const particle = particleImage.particles.array[0]
+
+    particle.point.x = 5
+    particle.properties.radius = 4
+    particle.properties.shape = 'star'
+    particle.transitionData.toPoint.y = 7
+    assert.strictEqual(particleImage.particles.pool.x[0], 5)
+    assert.strictEqual(particleImage.particles.pool.radius[0], 4)
+    assert.strictEqual(particle.properties.shape, 'star')
+    assert.strictEqual(particleImage.particles.pool.toY[0], 7)
+    assert.deepStrictEqual({ ...particle.point }, { x: 5, y: particleImage.particles.pool.y[0] })
+})
+
+test('setting transitionData changes the points and properties given', () => {
+    const { particleImage } = createParticleImage()
+    particleImage.setParticles([{ toPoint: points[0] }])
+    const particle = particleImage.particles.array[0]
+
+    particle.transitionData = { toPoint: { x: 1, y: 2 }, toProperties: { radius: 9 } }
+    assert.deepStrictEqual({ ...particle.transitionData.toPoint }, { x: 1, y: 2 })
+    assert.strictEqual(particle.transitionData.toProperties.radius, 9)
+    assert.strictEqual(particle.transitionData.toProperties.opacity, 1)
+})
+
+test('particles keep the properties they were added with', () => {
+    const { particleImage } = createParticleImage({ particles: { properties: { radius: 2 } } })
+    particleImage.setParticles([{ toPoint: points[0] }])
+    particleImage.configure({ particles: { properties: { radius: 8 } } })
+    particleImage.setParticles([{ toPoint: points[0] }, { toPoint: points[1] }])
+
+    const radii = particleImage.particles.array.map(particle => particle.getSpawnProperties().radius)
+    assert.deepStrictEqual(radii, [2, 8])
+})
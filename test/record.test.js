@@ -0,0 +1,38 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, points } = require('./helpers.js')
+
+test('record captures png frames and gives the platform back', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { duration: 100 } })
+    let progress = []
+    const frames = await particleImage.record({
+        format: 'png',
+        fps: 20,
+        transitionData: points.map(point => ({ toPoint: point })),
+        onProgress: ({ frame }) => progress.push(frame)
+    })
+
+    assert.strictEqual(frames.length, 3)
+    assert.deepStrictEqual(progress, [1, 2, 3])
+    assert.strictEqual(particleImage.platform.requestFrame, scheduler.requestFrame)
+    assert.strictEqual(particleImage.platform.now, scheduler.now)
+})
+
+test('record rejects when the transition data is invalid', async () => {
+    const { particleImage, scheduler } = createParticleImage()
+    let progress = 0
+    const recording = particleImage.record({
+        format: 'png',
+        transitionData: [{ toPoint: points[0], toProperties: { shape: 'blob' } }],
+        onProgress: () => progress++
+    })
+
+    await assert.rejects(recording, /couldn't find particle shape: blob/)
+    assert.strictEqual(progress, 0)
+    assert.strictEqual(particleImage.platform.requestFrame, scheduler.requestFrame)
+})
+
+test('record rejects unknown formats', async () => {
+    const { particleImage } = createParticleImage()
+    await assert.rejects(particleImage.record({ format: 'avi' }), /couldn't find record format: avi/)
+})
@@ -0,0 +1,38 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, createPlatform } = require('./helpers.js')
+
+//canvas whose 2d context records the blend and glow each fill is drawn with
+function createRecordingCanvas(width, height) {
+    let fills = []
+    const state = { globalCompositeOperation: 'source-over', shadowBlur: 0 }
+    const context = new Proxy(state, {
+        get: (state, name) => {
+            if (name === 'fills') return fills
+            if (name === 'fill') return () => fills.push({ blend: state.globalCompositeOperation, glow: state.shadowBlur })
+            return name in state ? state[name] : () => { }
+        }
+    })
+    return { width: width, height: height, style: {}, getContext: () => context }
+}
+
+test('particles without extras reset the blend and glow of the particle before them', async () => {
+    const platform = { ...createPlatform(), createCanvas: createRecordingCanvas }
+    const particleImage = new ParticleImage({
+        canvas: { width: 200, height: 100 },
+        particles: { shuffle: false },
+        animation: { duration: 0 },
+        idle: { enabled: false },
+        platform: platform
+    })
+    particleImage.setParticles([
+        { toPoint: { x: 10, y: 10 }, toProperties: { glow: 8, blend: 'lighter' } },
+        { toPoint: { x: 20, y: 20 } }
+    ])
+    const fills = particleImage.canvas.context.fills
+    const transition = particleImage.animate()
+    platform.flush()
+    await transition
+
+    assert.deepStrictEqual(fills.slice(-2), [{ blend: 'lighter', glow: 8 }, { blend: 'source-over', glow: 0 }])
+})
@@ -0,0 +1,32 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage } = require('./helpers.js')
+
+//opaque black image data
+const createImageData = (width, height) => {
+    const data = new Uint8ClampedArray(width * height * 4)
+    for (let i = 3; i < data.length; i += 4) data[i] = 255
+    return { width, height, data }
+}
+
+test('maxParticles limits the particles sampled from an image', () => {
+    [1, 2, 7].forEach(maxParticles => {
+        const { particleImage } = createParticleImage({ particles: { density: 2, maxParticles: maxParticles } })
+        const data = particleImage.getParticleDataFromImage(createImageData(40, 20))
+        assert.strictEqual(data.length, maxParticles)
+        data.forEach(({ toPoint }) => assert.ok(Number.isFinite(toPoint.x) && Number.isFinite(toPoint.y)))
+    })
+})
+
+test('every sampling strategy covers the image', () => {
+    ['grid', 'jitter', 'poisson', 'edge', 'luminance'].forEach(sampling => {
+        const { particleImage } = createParticleImage({ seed: 1, particles: { density: 4, sampling: sampling } })
+        const data = particleImage.getParticleDataFromImage(createImageData(40, 20))
+        assert.ok(data.length > 0, sampling)
+        const { shiftX, shiftY } = particleImage.getImageShift()
+        data.forEach(({ toPoint }) => {
+            assert.ok(toPoint.x >= shiftX && toPoint.x < shiftX + 40, sampling)
+            assert.ok(toPoint.y >= shiftY && toPoint.y < shiftY + 20, sampling)
+        })
+    })
+})
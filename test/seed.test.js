@@ -0,0 +1,36 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, points } = require('./helpers.js')
+
+//pool state after particles are set, spawn points and shuffle order come from the random numbers
+function getSpawnedState(seed) {
+    const { particleImage } = createParticleImage({ seed: seed })
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+    return particleImage.particles.pool.serialize()
+}
+
+test('the same seed spawns the same particles', () => {
+    assert.deepStrictEqual(getSpawnedState(7), getSpawnedState(7))
+    assert.notDeepStrictEqual(getSpawnedState(7), getSpawnedState(8))
+})
+
+test('reseed restarts the random numbers from a new seed', () => {
+    const { particleImage } = createParticleImage({ seed: 7 })
+    particleImage.reseed(9)
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+
+    assert.strictEqual(particleImage.seed, 9)
+    assert.deepStrictEqual(particleImage.particles.pool.serialize(), getSpawnedState(9))
+})
+
+test('layers get their own seed from the parent\'s', () => {
+    const getLayerState = () => {
+        const { particleImage } = createParticleImage({ seed: 7 })
+        const layer = particleImage.addLayer('top')
+        layer.setParticles(points.map(point => ({ toPoint: point })))
+        return { seed: layer.seed, state: layer.particles.pool.serialize() }
+    }
+    const first = getLayerState()
+    assert.strictEqual(first.seed, 8)
+    assert.deepStrictEqual(getLayerState(), first)
+})
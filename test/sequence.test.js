@@ -0,0 +1,60 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage, flushUntilSettled } = require('./helpers.js')
+
+//steps frames and waits for timers until the condition is true
+async function flushUntil(condition, scheduler) {
+    const end = Date.now() + 2000
+    while (!condition()) {
+        if (Date.now() > end) throw new Error('timed out')
+        scheduler.flush()
+        await new Promise(resolve => setTimeout(resolve, 1))
+    }
+}
+
+const sources = ['a.png', 'b.png', 'c.png']
+
+test('goTo wraps around and next / prev stop at the ends without loop', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 2 } })
+    particleImage.play(sources, { loop: false }).pause()
+    await flushUntilSettled(particleImage.goTo(-1), scheduler)
+    assert.strictEqual(particleImage.sequence.index, 2)
+
+    assert.strictEqual(await particleImage.next(), false)
+    assert.strictEqual(await flushUntilSettled(particleImage.goTo(0), scheduler), true)
+    assert.strictEqual(await particleImage.prev(), false)
+    assert.strictEqual(await flushUntilSettled(particleImage.next(), scheduler), true)
+    assert.strictEqual(particleImage.sequence.index, 1)
+})
+
+test('play shows each source in turn and stops at the end without loop', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 2 } })
+    let shown = []
+    particleImage.on('transitionend', () => shown.push(particleImage.sequence.index))
+    particleImage.play(sources, { interval: 1, loop: false })
+
+    await flushUntil(() => !particleImage.sequence.playing, scheduler)
+    assert.deepStrictEqual(shown, [0, 1, 2])
+})
+
+test('stop ignores a source that is still loading', async () => {
+    const { particleImage, scheduler } = createParticleImage()
+    particleImage.play(sources, { loop: false }).pause()
+    const loading = particleImage.goTo(1)
+    particleImage.stop()
+
+    assert.strictEqual(await flushUntilSettled(loading, scheduler), false)
+    assert.strictEqual(particleImage.sequence.index, -1)
+    assert.strictEqual(particleImage.particles.array.length, 0)
+})
+
+test('a source that fails to load rejects and autoplay moves on', async () => {
+    const { particleImage, scheduler } = createParticleImage({ animation: { frames: 2 } })
+    let errors = []
+    particleImage.on('error', ({ src }) => errors.push(src))
+    particleImage.play(['missing', 'a.png'], { interval: 1, loop: false })
+
+    await flushUntil(() => particleImage.sequence.index === 1 && !particleImage.sequence.playing, scheduler)
+    assert.deepStrictEqual(errors, ['missing'])
+    await assert.rejects(particleImage.goTo(0), /couldn't load image: missing/)
+})
@@ -0,0 +1,61 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, createCanvas, createPlatform, createParticleImage, flushUntilSettled, getSortedPoints } = require('./helpers.js')
+
+test('invalid settings throw before anything changes', () => {
+    assert.throws(() => createParticleImage({ colour: 'red' }), /unknown setting: colour/)
+    assert.throws(() => createParticleImage({ particles: { density: 'high' } }), /invalid setting particles.density: 'high', expected /)
+    assert.throws(() => createParticleImage({ particles: { sampling: 'random' } }), /invalid setting particles.sampling: 'random', expected one of /)
+    assert.throws(() => createParticleImage({ image: 5 }), /invalid setting image: 5, expected an object/)
+
+    const { particleImage } = createParticleImage({ animation: { frames: 20 } })
+    assert.throws(() => particleImage.configure({ animation: { frames: -1, delay: 10 } }), /invalid setting animation.frames: -1/)
+    assert.strictEqual(particleImage.animation.frames, 20)
+    assert.strictEqual(particleImage.animation.delay, 0)
+})
+
+test('the canvas element, responsive and renderer can only be set when constructing', () => {
+    const { particleImage } = createParticleImage()
+    assert.throws(() => particleImage.configure({ canvas: { renderer: 'webgl' } }), /can only be set when constructing/)
+    assert.throws(() => particleImage.configure({ canvas: { responsive: true } }), /can only be set when constructing/)
+    assert.throws(() => particleImage.configure({ canvas: { element: createCanvas(10, 10) } }), /can only be set when constructing/)
+})
+
+test('configure moves particles to the new canvas layout', async () => {
+    const { particleImage, scheduler } = createParticleImage({ particles: { density: 5 }, animation: { frames: 5 } })
+    await flushUntilSettled(particleImage.setParticlesToImage('logo.png'), scheduler)
+    const before = getSortedPoints(particleImage)
+
+    const moved = particleImage.configure({ canvas: { width: 400 } })
+    assert.strictEqual(particleImage.canvas.element.width, 400)
+    assert.strictEqual(await flushUntilSettled(moved, scheduler), true)
+    // the image is centered, so it moves by half of the added width
+    getSortedPoints(particleImage).forEach((point, i) => assert.ok(Math.abs(point.x - before[i].x - 100) < 1e-3))
+
+    assert.strictEqual(particleImage.configure({ animation: { frames: 10 } }), null)
+})
+
+test('disabling interaction and idle removes their listeners and observers', () => {
+    let listeners = 0, observers = 0
+    const platform = {
+        ...createPlatform(),
+        createCanvas: (width, height) => ({
+            ...createCanvas(width, height),
+            addEventListener: () => listeners++,
+            removeEventListener: () => listeners--
+        }),
+        observeVisibility: () => {
+            observers++
+            return () => observers--
+        }
+    }
+    const particleImage = new ParticleImage({ interaction: { enabled: true }, idle: { enabled: true }, platform: platform })
+    assert.ok(listeners > 0)
+    assert.strictEqual(observers, 1)
+
+    particleImage.configure({ interaction: { enabled: false }, idle: { enabled: false } })
+    assert.strictEqual(listeners, 0)
+    assert.strictEqual(observers, 0)
+    particleImage.configure({ interaction: { enabled: true } })
+    assert.ok(listeners > 0)
+})
@@ -0,0 +1,47 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, createPlatform, createParticleImage, points } = require('./helpers.js')
+
+test('toJSON saves particles, settings and the seed for fromJSON', () => {
+    const { particleImage } = createParticleImage({ seed: 3, particles: { properties: { shape: 'star' } } })
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+    particleImage.addLayer('top', { z: 2 }).setParticles([{ toPoint: { x: 1, y: 2 } }])
+
+    const data = JSON.parse(JSON.stringify(particleImage))
+    assert.strictEqual(data.settings.seed, 3)
+    assert.strictEqual(data.settings.particles.properties.shape, 'star')
+    assert.strictEqual(data.settings.platform, undefined)
+
+    const copy = ParticleImage.fromJSON(data, { platform: createPlatform() })
+    assert.strictEqual(copy.seed, 3)
+    assert.deepStrictEqual(copy.particles.pool.serialize(), particleImage.particles.pool.serialize())
+    assert.strictEqual(copy.getLayer('top').particles.pool.count, 1)
+    assert.strictEqual(copy.layers[0].z, 2)
+})
+
+test('restore replaces the particles and keeps the settings', () => {
+    const { particleImage } = createParticleImage()
+    particleImage.setParticles(points.map(point => ({ toPoint: point })))
+    const data = particleImage.toJSON()
+
+    const other = createParticleImage({ animation: { frames: 7 } }).particleImage
+    other.setParticles([{ toPoint: points[0] }])
+    assert.strictEqual(other.restore(data), other)
+    assert.strictEqual(other.particles.array.length, 3)
+    assert.deepStrictEqual(other.particles.pool.serialize(), particleImage.particles.pool.serialize())
+    assert.strictEqual(other.animation.frames, 7)
+    assert.throws(() => other.restore({ version: 2 }), /couldn't restore particle state version: 2/)
+})
+
+test('exported targets are moved to fit a canvas of another size', async () => {
+    const { particleImage } = createParticleImage({ particles: { density: 5 } })
+    const targets = JSON.parse(JSON.stringify(await particleImage.exportTargets('logo.png')))
+    const data = particleImage.getParticleDataFromImage(particleImage.getImageData(await createPlatform().loadImage('logo.png')))
+
+    const same = createParticleImage({ particles: { density: 5 } }).particleImage.importTargets(targets)
+    assert.strictEqual(same.length, data.length)
+    assert.deepStrictEqual(same.map(({ toPoint }) => toPoint), data.map(({ toPoint }) => toPoint))
+
+    const wider = createParticleImage({ canvas: { width: 400, height: 100 } }).particleImage.importTargets(targets)
+    assert.ok(wider.every(({ toPoint }, i) => toPoint.x > same[i].toPoint.x))
+})
@@ -0,0 +1,53 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { ParticleImage, createParticleImage } = require('./helpers.js')
+
+test('named easings start at 0 and end at 1', () => {
+    ['linear', 'ease', 'easeIn', 'easeOut', 'easeInOut'].forEach(name => {
+        const timingFunction = ParticleImage.getTimingFunction(name)
+        assert.strictEqual(timingFunction(0), 0, name)
+        assert.ok(Math.abs(timingFunction(1) - 1) < 1e-9, name)
+    })
+    assert.strictEqual(ParticleImage.getTimingFunction('linear')(.3), .3)
+})
+
+test('cubic-bezier() follows the css curve', () => {
+    const ease = ParticleImage.getTimingFunction('cubic-bezier(.25, .1, .25, 1)')
+    assert.strictEqual(ease(0), 0)
+    assert.strictEqual(ease(1), 1)
+    assert.ok(Math.abs(ease(.5) - .8024) < .001)
+    assert.throws(() => ParticleImage.getTimingFunction('cubic-bezier(1, 2)'), /couldn't find timing function: cubic-bezier\(1, 2\)/)
+})
+
+test('steps() jumps at the end or start of each step', () => {
+    const steps = ParticleImage.getTimingFunction('steps(4)')
+    assert.deepStrictEqual([0, .3, .5, .99, 1].map(steps), [0, .25, .5, .75, 1])
+    assert.deepStrictEqual([.1, .3].map(ParticleImage.getTimingFunction('steps(4, start)')), [.25, .5])
+})
+
+test('spring() settles at 1 and checks its parameters', () => {
+    const spring = ParticleImage.getTimingFunction('spring(100, 10)')
+    assert.strictEqual(spring(0), 0)
+    assert.ok(Math.abs(spring(1) - 1) < .001)
+    // underdamped springs overshoot
+    assert.ok([.2, .3, .4, .5].some(completion => spring(completion) > 1))
+
+    const critical = ParticleImage.getTimingFunction({ type: 'spring', stiffness: 100, damping: 20, mass: 1 })
+    assert.ok([.1, .3, .6, .9].every(completion => critical(completion) <= 1))
+
+    assert.throws(() => ParticleImage.getTimingFunction('spring(0)'), /spring stiffness must be a positive number: 0/)
+    assert.throws(() => ParticleImage.spring({ mass: 0 }), /spring mass must be a positive number: 0/)
+    assert.throws(() => ParticleImage.spring({ damping: -1 }), /spring damping must be 0 or more: -1/)
+})
+
+test('registered timing functions can be used by name', () => {
+    ParticleImage.registerTimingFunction('half', completion => completion / 2)
+    assert.strictEqual(ParticleImage.getTimingFunction('half')(1), .5)
+    assert.throws(() => ParticleImage.registerTimingFunction('broken', 1), /timing function broken must be a function/)
+    assert.throws(() => ParticleImage.getTimingFunction('bounce'), /couldn't find timing function: bounce/)
+})
+
+test('animate rejects unknown functions instead of throwing', async () => {
+    const { particleImage } = createParticleImage()
+    await assert.rejects(particleImage.animate(null, { timingFunction: 'bounce' }), /couldn't find timing function: bounce/)
+})
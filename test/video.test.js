@@ -0,0 +1,31 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { createParticleImage } = require('./helpers.js')
+
+//video that is ready with a new frame each time currentTime is read
+function createVideo() {
+    let time = 0
+    return { readyState: 4, videoWidth: 20, videoHeight: 10, get currentTime() { return time++ } }
+}
+
+test('video frames are sampled into particles', () => {
+    const { particleImage } = createParticleImage({ particles: { density: 5 } })
+    particleImage.setParticlesToVideo(createVideo(), { sampleEvery: 1000 })
+
+    assert.ok(particleImage.particles.pool.count > 0)
+    assert.strictEqual(particleImage.stopVideo(), true)
+    assert.strictEqual(particleImage.stopVideo(), false)
+})
+
+test('video sampling stops with an error event when frames can\'t be animated', async () => {
+    // mapping gives every particle a shape that doesn't exist
+    const { particleImage } = createParticleImage({ particles: { density: 5, mapping: () => ({ shape: 'blob' }) } })
+    const video = createVideo()
+    const error = new Promise(resolve => particleImage.on('error', resolve))
+    particleImage.setParticlesToVideo(video, { sampleEvery: 1000 })
+
+    const data = await error
+    assert.strictEqual(data.src, video)
+    assert.match(data.error.message, /couldn't find particle shape: blob/)
+    assert.strictEqual(particleImage.video.timer, null)
+})